@@ -0,0 +1,45 @@
+/**
+ * GeminiAdapter - Proveedor OCR sobre la API de Gemini
+ * Delega en geminiService (rotación de keys, cola, reintentos y circuit breaker)
+ */
+
+import { OcrProvider } from './OcrProvider.js';
+import { getGeminiReply, getRotationStats, isGeminiAvailable } from '../services/geminiService.js';
+
+export class GeminiAdapter extends OcrProvider {
+  constructor() {
+    super('gemini');
+  }
+
+  /**
+   * Lee las placas de una imagen con Gemini
+   * @param {Buffer} imageBuffer - Imagen original
+   * @param {Object} options - { prompt, priority } (prompt del perfil de placa; la prioridad ordena la cola de geminiService)
+   * @returns {Promise<string>} Texto crudo de Gemini
+   */
+  async recognize(imageBuffer, options = {}) {
+    return getGeminiReply(imageBuffer, options);
+  }
+
+  /**
+   * Disponible mientras el circuit breaker de Gemini acepte peticiones
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return isGeminiAvailable();
+  }
+
+  getStats() {
+    const { totalRequests, failedRequests, availableEndpoints, circuit } = getRotationStats();
+
+    return {
+      provider: this.name,
+      totalRequests,
+      failedRequests,
+      availableEndpoints,
+      circuit: circuit.state
+    };
+  }
+}
+
+export default GeminiAdapter;
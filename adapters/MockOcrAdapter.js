@@ -0,0 +1,91 @@
+/**
+ * MockOcrAdapter - Proveedor OCR local y determinista para desarrollo sin red
+ * Las respuestas salen de un archivo de fixtures:
+ *   - replies: respuesta fija por sha256 de la imagen enviada (`sha256sum imagen.jpg`;
+ *     con plateReading.crop distinto de 'full' el hash es el del recorte)
+ *   - fallback: respuestas para imágenes sin fixture, elegidas por el hash
+ *     (la misma imagen siempre produce la misma respuesta)
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { OcrProvider } from './OcrProvider.js';
+
+export class MockOcrAdapter extends OcrProvider {
+  /**
+   * @param {Object} config - { fixturesFile, latencyMs }
+   */
+  constructor(config) {
+    super('mock');
+    this.config = config;
+
+    // sha256 de la imagen → respuesta cruda
+    this.replies = new Map();
+    this.fallback = [];
+
+    this.stats = {
+      requests: 0,
+      matched: 0,
+      fallback: 0
+    };
+
+    this.loadFixtures();
+  }
+
+  /**
+   * Carga (o recarga) el archivo de fixtures
+   * @returns {number} Respuestas fijas cargadas
+   */
+  loadFixtures() {
+    const { replies = [], fallback = [] } = JSON.parse(readFileSync(this.config.fixturesFile, 'utf8'));
+
+    const repliesByHash = new Map();
+    for (const entry of replies) {
+      if (!entry.sha256 || typeof entry.reply !== 'string') {
+        throw new Error(`Invalid OCR fixture in ${this.config.fixturesFile}: sha256 and reply are required`);
+      }
+      repliesByHash.set(entry.sha256.toLowerCase(), entry.reply);
+    }
+
+    this.replies = repliesByHash;
+    this.fallback = fallback.length > 0 ? fallback : ['@'];
+    console.log(`🧪 Proveedor OCR mock: ${this.replies.size} fixtures, ${this.fallback.length} respuestas de respaldo`);
+    return this.replies.size;
+  }
+
+  /**
+   * Devuelve la respuesta del fixture de la imagen
+   * @param {Buffer} imageBuffer - Imagen original
+   * @returns {Promise<string>} Texto crudo con el formato de Gemini
+   */
+  async recognize(imageBuffer) {
+    this.stats.requests++;
+
+    const hash = createHash('sha256').update(imageBuffer).digest('hex');
+    let reply = this.replies.get(hash);
+
+    if (reply !== undefined) {
+      this.stats.matched++;
+    } else {
+      this.stats.fallback++;
+      reply = this.fallback[parseInt(hash.slice(0, 8), 16) % this.fallback.length];
+    }
+
+    if (this.config.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latencyMs));
+    }
+
+    return reply;
+  }
+
+  getStats() {
+    return {
+      provider: this.name,
+      fixturesFile: this.config.fixturesFile,
+      fixtures: this.replies.size,
+      ...this.stats
+    };
+  }
+}
+
+export default MockOcrAdapter;
@@ -0,0 +1,50 @@
+/**
+ * OcrProvider - Contrato de los proveedores de lectura de placas
+ * Un proveedor recibe la imagen original y devuelve el texto crudo con las
+ * placas encontradas; PlateReadingService lo interpreta con plateReplyParser,
+ * por lo que el texto debe seguir el formato del prompt (array de placas o '@')
+ */
+
+// Prioridad de una lectura (options.priority de recognize); los proveedores con cola la respetan
+export const OCR_PRIORITIES = {
+  HIGH: 'high', // Tiempo real: frames de cámaras en la entrada
+  NORMAL: 'normal', // Peticiones HTTP
+  LOW: 'low' // Reprocesamiento en lote, etiquetado automático
+};
+
+export class OcrProvider {
+  /**
+   * @param {string} name - Identificador del proveedor (OCR_PROVIDERS)
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Lee las placas de una imagen
+   * @param {Buffer} imageBuffer - Imagen original
+   * @param {Object} options - Opciones del proveedor ({ priority: OCR_PRIORITIES, prompt del perfil de placa })
+   * @returns {Promise<string>} Texto crudo de la respuesta
+   */
+  async recognize(imageBuffer, options = {}) {
+    throw new Error(`OCR provider ${this.name} must implement recognize()`);
+  }
+
+  /**
+   * Indica si el proveedor acepta peticiones nuevas
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Obtiene estadísticas del proveedor
+   * @returns {Object}
+   */
+  getStats() {
+    return { provider: this.name };
+  }
+}
+
+export default OcrProvider;
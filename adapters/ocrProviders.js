@@ -0,0 +1,27 @@
+import { DetectionConfig } from "../config/DetectionConfig.js";
+import { GeminiAdapter } from "./GeminiAdapter.js";
+import { MockOcrAdapter } from "./MockOcrAdapter.js";
+
+/**
+ * Registro de proveedores OCR seleccionables con ocr.provider (env OCR_PROVIDER)
+ */
+export const OCR_PROVIDERS = {
+  gemini: () => new GeminiAdapter(),
+  mock: (config) => new MockOcrAdapter(config.mock),
+};
+
+/**
+ * Crea el proveedor OCR configurado
+ * @param {Object} config - Sección ocr de DetectionConfig
+ * @returns {import("./OcrProvider.js").OcrProvider}
+ */
+export const createOcrProvider = (config = DetectionConfig.DEFAULT_CONFIG.ocr) => {
+  const factory = OCR_PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(
+      `Unknown OCR provider "${config.provider}": expected one of ${Object.keys(OCR_PROVIDERS).join(", ")}`
+    );
+  }
+
+  return factory(config);
+};
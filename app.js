@@ -1,15 +1,21 @@
 import express, { json } from "express";
 import helmet from "helmet";
-import rateLimit from "express-rate-limit";
 import cors from "cors";
 import imageRoutes from "./routes/imageRoutes.js";
+import jobRoutes from "./routes/jobRoutes.js";
+import healthRoutes from "./routes/healthRoutes.js";
 import { fileURLToPath } from "url";
 import morgan from "morgan";
 import { dirname, join } from "path";
 import { getRotationStats } from "./services/geminiService.js";
-import { DetectionService } from "./services/DetectionService.js";
+import { geminiUsageTracker } from "./services/GeminiUsageTracker.js";
 import { createServer } from "http";
 import { initializeSocketServer } from "./socket/SocketServer.js";
+import { renderMetrics } from "./services/MetricsService.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import { rateLimitByAddress, requireAuth, rateLimitRequests, requirePermission } from "./routes/authMiddleware.js";
+import { PERMISSIONS } from "./config/AuthConfig.js";
+import { RATE_LIMIT_CONFIG } from "./config/RateLimitConfig.js";
 
 // Importar dotenv para manejar variables de entorno
 import dotenv from "dotenv";
@@ -17,7 +23,8 @@ dotenv.config();
 
 const app = express();
 
-app.set("trust proxy", 1); // Confía solo en el primer proxy
+// Proxies de confianza (RATE_LIMIT_CONFIG.trustProxyHops, compartido con el handshake de Socket.IO)
+app.set("trust proxy", RATE_LIMIT_CONFIG.trustProxyHops);
 
 // Seguridad
 app.use(helmet());
@@ -26,18 +33,31 @@ app.use(json());
 // Registro de solicitudes
 app.use(morgan("dev"));
 
-// Limitar solicitudes por IP
-const limiter = rateLimit({
-  windowMs: 1 * 60 * 1000,
-  max: 120, // Aumentado para permitir análisis cada 500ms (hasta 120 por minuto)
+// Límite por IP para todas las rutas, antes de autenticar (RATE_LIMIT_IP_PER_MIN)
+app.use(rateLimitByAddress);
+
+// Salud del servicio: /health/live y /health/ready sin autenticación (el orquestador consulta con frecuencia);
+// el estado detallado (/health) exige stats:read
+app.use("/health", healthRoutes);
+
+// Métricas en formato Prometheus (el scraper se autentica como cualquier cliente con stats:read)
+app.get("/metrics", requireAuth, rateLimitRequests, requirePermission(PERMISSIONS.STATS_READ), async (req, res) => {
+  const { contentType, body } = await renderMetrics();
+  res.set("Content-Type", contentType);
+  res.send(body);
 });
-app.use(limiter);
+
+// Autenticación por API key o token firmado y límite de solicitudes por cliente
+// (niveles en config/RateLimitConfig.js, cupo compartido con los frames de Socket.IO)
+app.use("/api", requireAuth, rateLimitRequests);
 
 // Rutas
 app.use("/api/image", imageRoutes);
+app.use("/api/jobs", jobRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Endpoint para ver estadísticas de rotación
-app.get("/api/stats", (req, res) => {
+app.get("/api/stats", requirePermission(PERMISSIONS.STATS_READ), (req, res) => {
   const stats = getRotationStats();
   res.json({
     message: "Estadísticas de rotación de API keys",
@@ -56,16 +76,32 @@ const PORT = 3000;
 // Crear servidor HTTP para Socket.IO
 const server = createServer(app);
 
-// Inicializar Socket.IO para detección de placas en tiempo real
-await initializeSocketServer(server);
-
-server.listen(PORT, async () => {
+// Escuchar antes de cargar el modelo: /health/live responde de inmediato y
+// /health/ready devuelve 503 hasta que el modelo termine su warmup
+server.listen(PORT, () => {
   console.log(`🚀 Servidor HTTP corriendo en http://localhost:${PORT}`);
   console.log(`🔌 Socket.IO activo en http://localhost:${PORT}`);
-  
-  // Inicializar servicio de detección de placas
-  console.log('⚡ Inicializando modelo de detección de placas...');
-  const detectionService = new DetectionService();
-  await detectionService.initialize();
-  console.log('✅ Sistema de detección de placas listo!');
 });
+
+// Apagado ordenado: el consumo de Gemini se guarda en disco antes de salir
+// (el guardado periódico puede tener hasta usage.flushIntervalMs sin escribir)
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`\n🛑 ${signal} recibido, cerrando servidor...`);
+
+  server.close();
+  await geminiUsageTracker.dispose();
+  process.exit(0);
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+// Inicializar Socket.IO y el modelo de detección de placas (compartido con las rutas HTTP)
+console.log('⚡ Inicializando modelo de detección de placas...');
+await initializeSocketServer(server);
+console.log('✅ Sistema de detección de placas listo!');
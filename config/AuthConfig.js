@@ -0,0 +1,64 @@
+/**
+ * Configuración de autenticación y control de acceso para Socket.IO y las rutas /api
+ * Las identidades (cámaras y operadores) se definen en un archivo JSON local
+ * que no se versiona; ver config/clients.example.json. Los permisos de cada
+ * rol se definen en config/roles.json
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const AUTH_CONFIG = {
+    // AUTH_ENABLED=false solo para desarrollo local: todos los clientes quedan como anónimos
+    enabled: process.env.AUTH_ENABLED !== 'false',
+
+    // Roles de los anónimos si se declaran explícitamente (p. ej. AUTH_ANONYMOUS_ROLES=admin);
+    // por defecto usan los de defaultRolesByType.anonymous en roles.json (camera + detector:
+    // publicar frames y detectar imágenes sueltas, sin historial, estadísticas ni administración)
+    anonymousRoles: process.env.AUTH_ANONYMOUS_ROLES
+        ? process.env.AUTH_ANONYMOUS_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+        : null,
+
+    // Archivo con las identidades y sus API keys
+    clientsFile: process.env.AUTH_CLIENTS_FILE || join(__dirname, 'clients.json'),
+
+    // Archivo con los roles, sus permisos y los roles por defecto de cada tipo de identidad
+    rolesFile: process.env.AUTH_ROLES_FILE || join(__dirname, 'roles.json'),
+
+    // Tokens firmados (JWT HS256) emitidos por un servicio externo
+    jwt: {
+        secret: process.env.AUTH_JWT_SECRET || null,
+        issuer: process.env.AUTH_JWT_ISSUER || undefined,
+        algorithms: ['HS256']
+    },
+
+    // Encabezados HTTP aceptados
+    headers: {
+        apiKey: 'x-api-key',
+        authorization: 'authorization'
+    }
+};
+
+// Tipos de identidad
+export const IDENTITY_TYPES = {
+    CAMERA: 'camera',
+    OPERATOR: 'operator',
+    ANONYMOUS: 'anonymous'
+};
+
+// Permisos que pueden asignarse a los roles en roles.json ("*" concede todos)
+export const PERMISSIONS = {
+    FRAMES_ANALYZE: 'frames:analyze',
+    ROOMS_PUBLISH: 'rooms:publish',
+    ROOMS_VIEW: 'rooms:view',
+    IMAGES_DETECT: 'images:detect',
+    JOBS_SUBMIT: 'jobs:submit',
+    JOBS_MANAGE: 'jobs:manage', // Consultar y cancelar jobs de otros clientes
+    HISTORY_READ: 'history:read',
+    STATS_READ: 'stats:read',
+    ADMIN_CONFIG: 'admin:config',
+    ADMIN_MODEL: 'admin:model',
+    ADMIN_STATS: 'admin:stats'
+};
@@ -3,6 +3,12 @@
  * Principio: Centralización de configuraciones para fácil mantenimiento
  */
 
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Las rutas por defecto son relativas a la raíz del proyecto, no al directorio de trabajo
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
 export class DetectionConfig {
     static get DEFAULT_CONFIG() {
         return {
@@ -51,10 +57,95 @@ export class DetectionConfig {
             
             // Configuraciones de Gemini
             gemini: {
+                // Versiones del modelo en rotación; la URL es URI_BASE + versión + modelSuffix
+                versions: (process.env.GEMINI_VERSIONS || '2.0,2.5').split(',').map(version => version.trim()).filter(Boolean),
+                modelSuffix: process.env.GEMINI_MODEL_SUFFIX || '-flash',
                 maxRetries: 3,
-                timeoutMs: 15000,
+                timeoutMs: parseInt(process.env.GEMINI_TIMEOUT_MS, 10) || 15000,
                 rateLimitDelay: 1000,
-                batchSize: 1
+                batchSize: 1,
+                // Cuarentena de una key/versión tras un 429 (si Gemini no envía Retry-After)
+                keyCooldownMs: parseInt(process.env.GEMINI_KEY_COOLDOWN_MS, 10) || 60000,
+                // Cuarentena de una key en todas sus versiones tras un 401/403
+                rejectedKeyCooldownMs: parseInt(process.env.GEMINI_REJECTED_KEY_COOLDOWN_MS, 10) || 600000,
+                // Circuit breaker: abre con una tasa de fallos >= failureRateThreshold en los
+                // últimos windowSize resultados (mínimo minRequests) y prueba tras openDurationMs
+                circuitBreaker: {
+                    failureRateThreshold: parseFloat(process.env.GEMINI_CIRCUIT_FAILURE_RATE) || 0.5,
+                    minRequests: 10,
+                    windowSize: 20,
+                    openDurationMs: parseInt(process.env.GEMINI_CIRCUIT_OPEN_MS, 10) || 30000,
+                    halfOpenMaxRequests: 1
+                },
+                // Cache de respuestas por hash perceptual: frames con dHash a <= maxDistance
+                // bits de uno leído en los últimos ttlMs reutilizan su respuesta
+                cache: {
+                    enabled: process.env.GEMINI_CACHE_ENABLED !== 'false',
+                    // Corto: un vehículo distinto que llega a la misma cámara no debe heredar la lectura anterior
+                    ttlMs: parseInt(process.env.GEMINI_CACHE_TTL_MS, 10) || 5000,
+                    maxEntries: 200,
+                    hashSize: 32, // dHash de hashSize² bits (1024)
+                    hashCenterFraction: 0.6, // Zona central hasheada, donde queda la placa
+                    maxDistance: 8 // Bits distintos tolerados (ruido de compresión y de sensor)
+                },
+                // Cola de peticiones por prioridad: longitud máxima total y espera máxima en cola
+                queue: {
+                    maxLength: parseInt(process.env.GEMINI_QUEUE_MAX_LENGTH, 10) || 100,
+                    timeoutsMs: {
+                        high: 5000, // Lecturas en tiempo real (entrada de vehículos)
+                        normal: 20000, // Peticiones HTTP
+                        low: 120000 // Reprocesamiento en lote, etiquetado automático
+                    }
+                },
+                // Consumo por key/versión persistido en disco y presupuestos diarios (0 = sin límite)
+                usage: {
+                    file: process.env.GEMINI_USAGE_FILE || join(ROOT_DIR, 'data', 'gemini-usage.json'),
+                    timeZone: process.env.GEMINI_USAGE_TIMEZONE || 'UTC', // Zona en la que cambia el día
+                    retentionDays: 30,
+                    flushIntervalMs: 10000,
+                    budgets: {
+                        dailyRequests: parseInt(process.env.GEMINI_DAILY_REQUEST_BUDGET, 10) || 0,
+                        dailyTokens: parseInt(process.env.GEMINI_DAILY_TOKEN_BUDGET, 10) || 0,
+                        endpointDailyRequests: parseInt(process.env.GEMINI_ENDPOINT_DAILY_REQUEST_BUDGET, 10) || 0
+                    }
+                }
+            },
+            
+            // Segunda etapa: lectura de caracteres con Gemini cuando el detector encuentra placa
+            plateReading: {
+                enabled: process.env.PLATE_READING_ENABLED === 'true',
+                minProbability: parseFloat(process.env.PLATE_READING_MIN_PROBABILITY) || 0.7,
+                // Prompts y formatos válidos por país/tipo de vehículo (perfil por cámara: plateProfile)
+                profilesFile: process.env.PLATE_PROFILES_FILE || join(ROOT_DIR, 'config', 'plateProfiles.json'),
+                // Imagen enviada al proveedor: 'full' (frame completo) o 'center' (recorte central)
+                crop: {
+                    mode: process.env.PLATE_READING_CROP || 'full',
+                    centerFraction: 0.6, // Lado del recorte central relativo al frame
+                    minWidth: 640, // Los recortes más pequeños se amplían hasta este ancho
+                    quality: 90
+                }
+            },
+            
+            // Proveedor de lectura de placas: 'gemini' o 'mock' (fixtures locales, sin red)
+            ocr: {
+                provider: process.env.OCR_PROVIDER || 'gemini',
+                mock: {
+                    fixturesFile: process.env.OCR_MOCK_FIXTURES || join(ROOT_DIR, 'fixtures', 'ocr', 'replies.json'),
+                    latencyMs: parseInt(process.env.OCR_MOCK_LATENCY_MS, 10) || 0
+                }
+            },
+            
+            // Configuraciones de jobs asíncronos de detección en lote
+            jobs: {
+                retentionMs: parseInt(process.env.JOB_RETENTION_MS, 10) || 60 * 60 * 1000, // 1 hora
+                maxConcurrentJobs: 1,
+                maxStoredJobs: 100,
+                // Los jobs encolados o en ejecución retienen sus imágenes en memoria
+                maxPendingJobsPerClient: parseInt(process.env.JOB_MAX_PENDING_PER_CLIENT, 10) || 3,
+                maxPendingBytesPerClient: parseInt(process.env.JOB_MAX_PENDING_BYTES_PER_CLIENT, 10) || 250 * 1024 * 1024,
+                maxPendingBytes: parseInt(process.env.JOB_MAX_PENDING_BYTES, 10) || 1024 * 1024 * 1024,
+                cleanupIntervalMs: 60000,
+                realTimeYieldMs: 50 // Pausa entre imágenes si hay tráfico en tiempo real
             },
             
             // Configuraciones de rendimiento
@@ -0,0 +1,43 @@
+/**
+ * Límites de solicitudes por cliente autenticado
+ * Cada identidad consume de su propio cupo (compartido entre HTTP y Socket.IO)
+ * según su nivel; los anónimos (autenticación deshabilitada) se agrupan por IP.
+ * Antes de autenticar se aplican un límite por IP y uno de intentos fallidos
+ */
+
+const perMinute = (envName, fallback) => ({
+    windowMs: 60 * 1000,
+    max: Number(process.env[envName]) || fallback
+});
+
+export const RATE_LIMIT_TIERS = {
+    CAMERA: 'camera',
+    INTEGRATION: 'integration',
+    ADMIN: 'admin',
+    ANONYMOUS: 'anonymous'
+};
+
+export const RATE_LIMIT_CONFIG = {
+    tiers: {
+        // 2fps = 120 frames/min, con margen para reintentos y consultas HTTP
+        [RATE_LIMIT_TIERS.CAMERA]: perMinute('RATE_LIMIT_CAMERA_PER_MIN', 240),
+        [RATE_LIMIT_TIERS.INTEGRATION]: perMinute('RATE_LIMIT_INTEGRATION_PER_MIN', 120),
+        [RATE_LIMIT_TIERS.ADMIN]: perMinute('RATE_LIMIT_ADMIN_PER_MIN', 600),
+        [RATE_LIMIT_TIERS.ANONYMOUS]: perMinute('RATE_LIMIT_ANONYMOUS_PER_MIN', 120)
+    },
+
+    // Límite por IP previo a la autenticación (todas las rutas, incluidas /health y /metrics)
+    // Generoso: varias cámaras pueden compartir IP detrás de un NAT
+    address: perMinute('RATE_LIMIT_IP_PER_MIN', 1200),
+
+    // Autenticaciones fallidas por IP y credencial: al agotarlo esa credencial se rechaza desde
+    // esa IP hasta el fin de la ventana, sin afectar a las demás cámaras detrás del mismo NAT
+    authFailures: perMinute('RATE_LIMIT_AUTH_FAILURES_PER_MIN', 20),
+
+    // Proxies de confianza delante del servidor (X-Forwarded-For); lo usan Express ("trust proxy")
+    // y el handshake de Socket.IO para resolver la misma IP de cliente
+    trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1,
+
+    // Limpieza de ventanas vencidas
+    cleanupIntervalMs: 60 * 1000
+};
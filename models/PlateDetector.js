@@ -3,6 +3,7 @@
  * Implementa MobileNet con transfer learning para clasificación binaria
  */
 
+import sharp from 'sharp';
 import TensorFlowAdapter from '../adapters/TensorFlowAdapter.js';
 import { MODEL_CONFIG, getConfig, validateConfig } from './modelConfig.js';
 import { 
@@ -105,9 +106,13 @@ export class PlateDetector {
   /**
    * Detecta presencia de placa vehicular en imagen
    * @param {Buffer} imageBuffer - Buffer de imagen de entrada
+   * @param {Object} options - Opciones de detección
+   * @param {AbortSignal} [options.signal] - Interrumpe la detección entre etapas (p. ej. por timeout)
    * @returns {Promise<Object>} Resultado de detección formateado
    */
-  async detectPlate(imageBuffer) {
+  async detectPlate(imageBuffer, options = {}) {
+    const { signal } = options;
+
     if (!this.isReady) {
       throw new Error('Detector not ready. Call initialize() first.');
     }
@@ -128,10 +133,13 @@ export class PlateDetector {
       }
 
       // Convertir imagen a tensor
+      this._throwIfAborted(signal);
       inputTensor = await imageToTensor(imageBuffer);
 
       // Ejecutar inferencia
+      this._throwIfAborted(signal);
       prediction = await this.tfAdapter.predict(inputTensor, this.model);
+      this._throwIfAborted(signal);
 
       // Procesar resultado de predicción
       const predictionResult = await processPrediction(prediction);
@@ -157,7 +165,7 @@ export class PlateDetector {
       return formatErrorResponse(error, processingTime);
 
     } finally {
-      // Limpiar tensores para evitar memory leaks
+      // Limpiar tensores para evitar memory leaks (también si la detección fue abortada)
       cleanupTensors([inputTensor, prediction]);
     }
   }
@@ -246,6 +254,53 @@ export class PlateDetector {
     console.log('⚙️ Configuración actualizada');
   }
 
+  /**
+   * Recarga el modelo (p. ej. tras reemplazar los pesos entrenados) sin detener el servicio
+   * Las detecciones siguen usando el modelo anterior hasta que el nuevo completa su warmup.
+   * Solo se aceptan los pesos guardados en PATHS.CUSTOM_MODEL_PATH: a diferencia de
+   * initialize(), no hay fallback al modelo remoto ni a uno sin entrenar
+   * @returns {Promise<Object>} Información del modelo cargado
+   * @throws {Error} Si los pesos no cargan o el warmup falla (el modelo anterior sigue activo)
+   */
+  async reloadModel() {
+    if (!this.isReady) {
+      throw new Error('Detector not ready. Call initialize() first.');
+    }
+    if (this.isLoading) {
+      throw new Error('Model reload already in progress');
+    }
+
+    this.isLoading = true;
+    let candidate = null;
+
+    try {
+      console.log('🔄 Recargando modelo de detección...');
+      candidate = await this._loadSavedModel();
+      await this._warmupModel(candidate, { strict: true });
+
+      const previousModel = this.model;
+      this.model = candidate;
+      candidate = null;
+
+      if (previousModel && previousModel !== this.model) {
+        previousModel.dispose();
+      }
+
+      console.log('✅ Modelo recargado correctamente');
+      return this.getModelInfo();
+
+    } catch (error) {
+      if (candidate && candidate !== this.model) {
+        candidate.dispose();
+      }
+      console.error('❌ Error recargando modelo:', error);
+      throw new Error(`Model reload failed: ${error.message}`);
+
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
   /**
    * Libera recursos del detector
    */
@@ -305,17 +360,35 @@ export class PlateDetector {
     }
   }
 
-  async _warmupModel() {
+  async _loadSavedModel() {
+    const modelPath = this.config.PATHS.CUSTOM_MODEL_PATH;
+    if (!modelPath) {
+      throw new Error('No trained model path configured (PATHS.CUSTOM_MODEL_PATH)');
+    }
+
+    // Misma ruta en la que TrainingService guarda los pesos entrenados
+    return await this.tfAdapter.loadModel(`file://${modelPath}/model.json`);
+  }
+
+  /**
+   * Ejecuta inferencias de prueba sobre un modelo
+   * @param {tf.LayersModel} model - Modelo a calentar (por defecto el activo)
+   * @param {Object} options - { strict }: con strict un error de inferencia se propaga
+   */
+  async _warmupModel(model = this.model, { strict = false } = {}) {
     console.log('🔥 Realizando warmup del modelo...');
 
     // 🚀 OPTIMIZADO: Usar configuración dinámica
     const warmupRuns = this.config.PERFORMANCE.WARMUP_ITERATIONS || 2;
-    const dummyImage = Buffer.alloc(300 * 300 * 3, 128); // Imagen gris 300x300
+    // Imagen gris 300x300 codificada (imageToTensor no acepta píxeles raw)
+    const dummyImage = await sharp({
+      create: { width: 300, height: 300, channels: 3, background: { r: 128, g: 128, b: 128 } }
+    }).jpeg().toBuffer();
 
     for (let i = 0; i < warmupRuns; i++) {
       try {
         const tensor = await imageToTensor(dummyImage);
-        const prediction = await this.tfAdapter.predict(tensor, this.model);
+        const prediction = await this.tfAdapter.predict(tensor, model);
         
         // Limpiar inmediatamente
         cleanupTensors([tensor, prediction]);
@@ -325,6 +398,9 @@ export class PlateDetector {
         }
         
       } catch (error) {
+        if (strict) {
+          throw new Error(`Warmup run ${i + 1} failed: ${error.message}`);
+        }
         console.warn(`⚠️ Error en warmup run ${i + 1}:`, error.message);
       }
     }
@@ -347,6 +423,12 @@ export class PlateDetector {
     }
   }
 
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw new Error('Detection aborted: processing timeout exceeded');
+    }
+  }
+
   async _waitForReady() {
     while (this.isLoading) {
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -0,0 +1,177 @@
+import { Router } from "express";
+import { imageHandler } from "../socket/ImageHandler.js";
+import { authService } from "../services/AuthService.js";
+import { accessControl } from "../services/AccessControl.js";
+import { plateProfiles } from "../services/PlateProfiles.js";
+import { ERROR_CODES } from "../socket/SocketEvents.js";
+import { PERMISSIONS } from "../config/AuthConfig.js";
+import { requirePermission } from "./authMiddleware.js";
+
+const router = Router();
+
+/**
+ * ADMINISTRACIÓN (requiere rol con permisos admin:*)
+ *
+ * GET   /api/admin/config         → Roles vigentes, estado de autenticación, cache y perfiles de placa
+ * PATCH /api/admin/config         → Cambia la configuración del cache ({ cache: { enabled, maxSize } })
+ * POST  /api/admin/config/reload  → Recarga config/roles.json, el archivo de clientes y config/plateProfiles.json
+ * POST  /api/admin/model/reload   → Recarga el modelo de detección sin reiniciar el servidor
+ * POST  /api/admin/stats/reset    → Reinicia las estadísticas del ImageHandler
+ * POST  /api/admin/cache/clear    → Limpia el cache de resultados de DetectionService
+ */
+
+/**
+ * Obtiene el DetectionService compartido o responde 503 si el modelo no está cargado
+ * @param {import("express").Response} res - Respuesta HTTP
+ * @returns {Object|null} DetectionService o null si ya se respondió
+ */
+const getDetectionService = (res) => {
+  const detectionService = imageHandler.detectionService;
+  if (imageHandler.isInitialized && detectionService) {
+    return detectionService;
+  }
+
+  res.status(503).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: ERROR_CODES.MODEL_NOT_LOADED,
+      message: "Detection service not initialized"
+    }
+  });
+  return null;
+};
+
+const sendAdminError = (res, status, error) => {
+  res.status(status).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: error.code || ERROR_CODES.INTERNAL_ERROR,
+      message: error.message
+    }
+  });
+};
+
+const getCacheConfig = (detectionService) => ({
+  enabled: detectionService?.enableCache ?? false,
+  maxSize: detectionService?.maxCacheSize ?? null,
+  size: detectionService?.resultCache.size ?? 0
+});
+
+router.get("/config", requirePermission(PERMISSIONS.ADMIN_CONFIG), (req, res) => {
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    access: accessControl.getConfig(),
+    auth: authService.getStats(),
+    cache: getCacheConfig(imageHandler.detectionService),
+    plateProfiles: plateProfiles.getConfig()
+  });
+});
+
+router.patch("/config", requirePermission(PERMISSIONS.ADMIN_CONFIG), (req, res) => {
+  const detectionService = getDetectionService(res);
+  if (!detectionService) {
+    return;
+  }
+
+  const cache = req.body?.cache;
+  if (!cache || (cache.enabled !== undefined && typeof cache.enabled !== "boolean") ||
+      (cache.maxSize !== undefined && !(Number.isInteger(cache.maxSize) && cache.maxSize > 0))) {
+    return sendAdminError(res, 400, {
+      code: ERROR_CODES.INVALID_FORMAT,
+      message: 'Expected { "cache": { "enabled": boolean, "maxSize": positive integer } }'
+    });
+  }
+
+  detectionService.configureCache(
+    cache.enabled ?? detectionService.enableCache,
+    cache.maxSize ?? detectionService.maxCacheSize
+  );
+  console.log(`⚙️ [${req.identity.id}] Configuración de cache actualizada`);
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    cache: getCacheConfig(detectionService)
+  });
+});
+
+router.post("/config/reload", requirePermission(PERMISSIONS.ADMIN_CONFIG), (req, res) => {
+  let parsed;
+  try {
+    // Se validan los tres archivos antes de aplicar ninguno: si uno es inválido
+    // se conservan los roles, clientes y perfiles en uso
+    parsed = {
+      access: accessControl.parse(),
+      apiKeys: authService.parseClients(),
+      profiles: plateProfiles.parse()
+    };
+  } catch (error) {
+    return sendAdminError(res, 400, { code: ERROR_CODES.INVALID_FORMAT, message: error.message });
+  }
+
+  const access = accessControl.apply(parsed.access);
+  const apiKeyClients = authService.applyClients(parsed.apiKeys);
+  const profiles = plateProfiles.apply(parsed.profiles);
+  console.log(`🔄 [${req.identity.id}] Roles, clientes y perfiles de placa recargados`);
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    access,
+    apiKeyClients,
+    plateProfiles: profiles
+  });
+});
+
+router.post("/model/reload", requirePermission(PERMISSIONS.ADMIN_MODEL), async (req, res) => {
+  const detectionService = getDetectionService(res);
+  if (!detectionService) {
+    return;
+  }
+
+  try {
+    console.log(`🔄 [${req.identity.id}] Recarga de modelo solicitada`);
+    const model = await detectionService.reloadModel();
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      model
+    });
+  } catch (error) {
+    const inProgress = error.message.includes("already in progress");
+    sendAdminError(res, inProgress ? 409 : 500, error);
+  }
+});
+
+router.post("/stats/reset", requirePermission(PERMISSIONS.ADMIN_STATS), (req, res) => {
+  imageHandler.resetStats();
+  console.log(`🧹 [${req.identity.id}] Estadísticas del ImageHandler reiniciadas`);
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    stats: imageHandler.getStats()
+  });
+});
+
+router.post("/cache/clear", requirePermission(PERMISSIONS.ADMIN_STATS), (req, res) => {
+  const detectionService = getDetectionService(res);
+  if (!detectionService) {
+    return;
+  }
+
+  const cleared = detectionService.resultCache.size;
+  detectionService.clearCache();
+
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    cleared
+  });
+});
+
+export default router;
@@ -0,0 +1,114 @@
+import { authService } from "../services/AuthService.js";
+import { accessControl } from "../services/AccessControl.js";
+import { rateLimiter } from "../services/RateLimiter.js";
+
+/**
+ * Middleware de límite por IP, previo a la autenticación
+ * Cubre también las rutas sin autenticación (/health/live, /health/ready)
+ */
+export const rateLimitByAddress = (req, res, next) => {
+  const quota = rateLimiter.consumeAddress(req.ip, { transport: "http" });
+  if (quota.allowed) {
+    return next();
+  }
+
+  sendRateLimited(res, quota);
+};
+
+/**
+ * Middleware de autenticación para las rutas /api
+ * Adjunta la identidad del cliente en req.identity; con la autenticación
+ * deshabilitada la identidad es anónima y usa la IP como ID.
+ * Una credencial que agota su cupo de fallos desde una IP recibe 429 sin autenticar;
+ * las demás credenciales de esa IP no se ven afectadas
+ */
+export const requireAuth = (req, res, next) => {
+  const credentials = authService.getCredentialsFromRequest(req);
+  const credentialKey = authService.getCredentialFingerprint(credentials);
+  const failures = rateLimiter.checkAuthFailures(req.ip, credentialKey);
+  if (!failures.allowed) {
+    return sendRateLimited(res, failures);
+  }
+
+  try {
+    req.identity = authService.authenticate(credentials, {
+      transport: "http",
+      fallbackId: req.ip
+    });
+    next();
+  } catch (error) {
+    rateLimiter.recordAuthFailure(req.ip, credentialKey, { transport: "http" });
+    console.warn(`🔒 Autenticación HTTP rechazada (${req.ip}): ${error.message}`);
+
+    res.status(401).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Middleware de límite de solicitudes por cliente autenticado (debe ir después de requireAuth)
+ * Informa el cupo restante en los encabezados RateLimit-* y responde 429 al agotarlo
+ */
+export const rateLimitRequests = (req, res, next) => {
+  const quota = rateLimiter.consume(req.identity, { address: req.ip, transport: "http" });
+
+  res.set({
+    "RateLimit-Limit": String(quota.limit),
+    "RateLimit-Remaining": String(quota.remaining),
+    "RateLimit-Reset": String(Math.ceil((new Date(quota.resetAt).getTime() - Date.now()) / 1000))
+  });
+
+  if (quota.allowed) {
+    return next();
+  }
+
+  sendRateLimited(res, quota);
+};
+
+/**
+ * Middleware que exige un permiso (config/roles.json) a la identidad autenticada
+ * @param {string} permission - Permiso de PERMISSIONS
+ * @returns {Function} Middleware de Express
+ */
+export const requirePermission = (permission) => (req, res, next) => {
+  try {
+    accessControl.assert(req.identity, permission);
+    next();
+  } catch (error) {
+    console.warn(`⛔ [${req.identity?.id}] ${req.method} ${req.originalUrl}: ${error.message}`);
+
+    res.status(403).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: {
+        code: error.code,
+        message: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Responde 429 con el cupo agotado
+ * @param {import("express").Response} res - Respuesta HTTP
+ * @param {Object} quota - Cupo de RateLimiter
+ */
+const sendRateLimited = (res, quota) => {
+  const error = rateLimiter.createLimitError(quota);
+  res.set("Retry-After", String(Math.ceil(quota.retryAfterMs / 1000)));
+  res.status(429).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: error.code,
+      message: error.message
+    },
+    quota
+  });
+};
@@ -0,0 +1,92 @@
+import { Router } from "express";
+import { imageHandler } from "../socket/ImageHandler.js";
+import { jobService } from "../services/JobService.js";
+import { authService } from "../services/AuthService.js";
+import { rateLimiter } from "../services/RateLimiter.js";
+import { plateReadingService } from "../services/PlateReadingService.js";
+import { frameScheduler } from "../socket/FrameScheduler.js";
+import { roomManager } from "../socket/RoomManager.js";
+import { getRotationStats } from "../services/geminiService.js";
+import { requireAuth, rateLimitRequests, requirePermission } from "./authMiddleware.js";
+import { PERMISSIONS } from "../config/AuthConfig.js";
+
+const router = Router();
+
+/**
+ * ENDPOINTS DE SALUD PARA EL ORQUESTADOR
+ *
+ * GET /health/live  → El proceso responde (no depende del modelo)
+ * GET /health/ready → 200 solo cuando el modelo está cargado y con warmup completado
+ * GET /health       → Estado detallado: detector, memoria TensorFlow, ImageHandler, planificador, jobs y Gemini.
+ *                     Requiere autenticación y el permiso stats:read (live y ready quedan abiertos al orquestador)
+ */
+
+/**
+ * Indica si el servicio puede recibir tráfico de detección
+ * PlateDetector marca isReady solo después del warmup del modelo
+ * @returns {boolean}
+ */
+const isReady = () => {
+  const detectionService = imageHandler.detectionService;
+
+  return Boolean(
+    imageHandler.isInitialized &&
+    detectionService?.isInitialized &&
+    detectionService.detector.isReady
+  );
+};
+
+router.get("/live", (req, res) => {
+  res.json({
+    status: "alive",
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get("/ready", (req, res) => {
+  const ready = isReady();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "ready" : "not_ready",
+    model: {
+      loading: imageHandler.detectionService?.detector.isLoading || false,
+      ready
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get("/", requireAuth, rateLimitRequests, requirePermission(PERMISSIONS.STATS_READ), (req, res) => {
+  const ready = isReady();
+  const detectionService = imageHandler.detectionService;
+  const gemini = getRotationStats();
+
+  res.status(ready ? 200 : 503).json({
+    status: ready ? "healthy" : "starting",
+    timestamp: new Date().toISOString(),
+    uptime: Math.round(process.uptime()),
+    detection: detectionService ? detectionService.getHealthStatus() : null,
+    tensorflow: detectionService ? detectionService.detector.tfAdapter.getStats() : null,
+    imageHandler: imageHandler.getStats(),
+    frameScheduler: frameScheduler.getStats(),
+    rooms: roomManager.listRooms(),
+    jobs: jobService.getStats(),
+    auth: authService.getStats(),
+    rateLimits: rateLimiter.getStats(),
+    plateReading: plateReadingService.getStats(),
+    gemini: {
+      activeRequests: gemini.activeRequests,
+      queuedRequests: gemini.queuedRequests,
+      maxConcurrentRequests: gemini.maxConcurrentRequests,
+      totalRequests: gemini.totalRequests,
+      failedRequests: gemini.failedRequests,
+      avgProcessingTime: gemini.avgProcessingTime,
+      avgRequestBytes: gemini.avgRequestBytes,
+      circuit: gemini.circuit,
+      budgetExhausted: gemini.usage.budgetExhausted
+    }
+  });
+});
+
+export default router;
@@ -1,34 +1,160 @@
-import { Router } from "express";
+import { Router, raw } from "express";
+import multer from "multer";
+import { imageHandler } from "../socket/ImageHandler.js";
+import { IMAGE_CONFIG, ERROR_CODES } from "../socket/SocketEvents.js";
+import {
+  batchUpload,
+  rawZip,
+  extractBatchImages,
+  sendBatchExtractionError,
+  sendNoImagesError,
+  HTTP_STATUS_BY_ERROR,
+  handleUploadErrors
+} from "./uploadHelpers.js";
+import { requirePermission } from "./authMiddleware.js";
+import { PERMISSIONS } from "../config/AuthConfig.js";
+
 const router = Router();
 
 /**
- * DETECCIÓN DE PLACAS VÍA SOCKET.IO
- * 
+ * DETECCIÓN DE PLACAS VÍA SOCKET.IO Y HTTP
+ *
  * ✅ Las imágenes se procesan en tiempo real vía Socket.IO
- * ❌ No se necesita multer ni rutas HTTP para imágenes
- * 
- * Flujo actual:
+ * ✅ POST /detect permite clasificar una imagen sin mantener un socket abierto
+ *    (herramientas batch, scripts curl, integraciones sin navegador)
+ * ✅ POST /detect/batch procesa muchas imágenes (varias partes multipart o un ZIP)
+ *
+ * Flujo Socket.IO:
  * 1. Frontend captura imagen → Blob/ArrayBuffer
  * 2. SocketService.sendImageForAnalysis() → Envía vía socket
  * 3. ImageHandler.processImageFromSocket() → Procesa directamente
  * 4. DetectionService.detectPlate() → Retorna resultado
+ *
+ * Flujo HTTP:
+ * 1. multipart/form-data (campo "image") o cuerpo binario (Content-Type: image/*)
+ * 2. ImageHandler.processImageFromHttp() → Misma validación y preprocesamiento
+ * 3. DetectionService.detectPlate() → Retorna resultado completo
+ *
+ * Lectura de placas (opcional, plateReading en DetectionConfig):
+ * si hay placa sobre el umbral, el proveedor OCR (ocr.provider: gemini o mock) lee los caracteres → evento "plate-read"
+ * en Socket.IO o campo "plateRead" en la respuesta HTTP
  */
 
+// Multer en memoria: las imágenes no se escriben a disco
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMAGE_CONFIG.MAX_SIZE,
+    files: 1
+  }
+});
+
+// Cuerpo binario directo (curl --data-binary @foto.jpg -H "Content-Type: image/jpeg")
+const rawImage = raw({
+  type: IMAGE_CONFIG.ALLOWED_FORMATS,
+  limit: IMAGE_CONFIG.MAX_SIZE
+});
+
+/**
+ * Extrae la imagen de la petición (multipart o cuerpo binario)
+ * @param {import("express").Request} req - Petición HTTP
+ * @returns {Object|null} Datos de imagen en el formato que espera ImageHandler
+ */
+const extractImageData = (req) => {
+  if (req.file) {
+    return {
+      data: req.file.buffer,
+      format: req.file.mimetype,
+      size: req.file.size,
+      filename: req.file.originalname
+    };
+  }
+
+  if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+    return {
+      data: req.body,
+      format: req.get("content-type")?.split(";")[0].trim(),
+      size: req.body.length
+    };
+  }
+
+  return null;
+};
+
 // Endpoint de estado del servicio
 router.get("/status", (req, res) => {
-  res.json({ 
+  res.json({
     service: "Detección de Placas Vehiculares",
-    method: "Socket.IO Real-time",
+    method: "Socket.IO Real-time + HTTP",
     status: "active",
     timestamp: new Date().toISOString(),
     endpoints: {
       socketConnection: "ws://localhost:3000",
       events: {
         send: "analyze-image",
-        receive: "analysis-result"
+        receive: "analysis-result",
+        plateRead: "plate-read"
+      },
+      http: {
+        detect: "POST /api/image/detect",
+        batch: "POST /api/image/detect/batch",
+        jobs: "POST /api/jobs"
       }
     }
   });
 });
 
+// Detección de placa sobre una sola imagen
+router.post("/detect", requirePermission(PERMISSIONS.IMAGES_DETECT), upload.single("image"), rawImage, async (req, res) => {
+  const imageData = extractImageData(req);
+
+  if (!imageData) {
+    return res.status(400).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: {
+        code: ERROR_CODES.INVALID_IMAGE,
+        message: `No image provided. Send multipart field "image" or a raw body with Content-Type ${IMAGE_CONFIG.ALLOWED_FORMATS.join(", ")}`
+      }
+    });
+  }
+
+  const result = await imageHandler.processImageFromHttp(imageData, req.identity.id, {
+    plateProfile: req.identity.plateProfile
+  });
+
+  if (!result.success) {
+    const code = result.error?.code || ERROR_CODES.INTERNAL_ERROR;
+    return res.status(HTTP_STATUS_BY_ERROR[code] || 500).json(result);
+  }
+
+  res.json(result);
+});
+
+// Detección de placas sobre un lote de imágenes (multipart o ZIP)
+router.post("/detect/batch", requirePermission(PERMISSIONS.IMAGES_DETECT), batchUpload.array("images"), rawZip, async (req, res) => {
+  let images;
+  try {
+    images = extractBatchImages(req);
+  } catch (error) {
+    return sendBatchExtractionError(res, error);
+  }
+
+  if (images.length === 0) {
+    return sendNoImagesError(res);
+  }
+
+  const result = await imageHandler.processBatch(images, req.identity.id);
+
+  if (!result.success) {
+    const code = result.error?.code || ERROR_CODES.INTERNAL_ERROR;
+    return res.status(HTTP_STATUS_BY_ERROR[code] || 500).json(result);
+  }
+
+  res.json(result);
+});
+
+// Errores de carga (multer / body parser) con el mismo formato de respuesta
+router.use(handleUploadErrors);
+
 export default router;
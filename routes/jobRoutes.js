@@ -0,0 +1,105 @@
+import { Router } from "express";
+import { jobService } from "../services/JobService.js";
+import { ERROR_CODES } from "../socket/SocketEvents.js";
+import {
+  batchUpload,
+  rawZip,
+  extractBatchImages,
+  sendBatchExtractionError,
+  sendNoImagesError,
+  handleUploadErrors
+} from "./uploadHelpers.js";
+import { requirePermission } from "./authMiddleware.js";
+import { PERMISSIONS } from "../config/AuthConfig.js";
+import { accessControl } from "../services/AccessControl.js";
+
+const router = Router();
+
+/**
+ * JOBS ASÍNCRONOS DE DETECCIÓN EN LOTE
+ *
+ * POST   /api/jobs              → Envía imágenes (multipart "images" o ZIP), responde 202 con jobId
+ * GET    /api/jobs/:id          → Progreso (processed/total) y estadísticas actuales del lote
+ * GET    /api/jobs/:id/results  → Resultados por nombre de archivo
+ * DELETE /api/jobs/:id          → Cancela un job encolado o en ejecución
+ *
+ * Los jobs terminados se conservan durante jobs.retentionMs (DetectionConfig).
+ * Cada cliente solo ve y cancela sus propios jobs, salvo con el permiso jobs:manage
+ */
+
+// Dueño exigido para consultar o cancelar un job (null: cualquiera)
+const getJobOwnerFilter = (req) =>
+  accessControl.can(req.identity, PERMISSIONS.JOBS_MANAGE) ? null : req.identity.id;
+
+const sendJobNotFound = (res, jobId) => {
+  res.status(404).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: ERROR_CODES.JOB_NOT_FOUND,
+      message: `Job ${jobId} not found or expired`
+    }
+  });
+};
+
+router.post("/", requirePermission(PERMISSIONS.JOBS_SUBMIT), batchUpload.array("images"), rawZip, (req, res) => {
+  let images;
+  try {
+    images = extractBatchImages(req);
+  } catch (error) {
+    return sendBatchExtractionError(res, error);
+  }
+
+  if (images.length === 0) {
+    return sendNoImagesError(res);
+  }
+
+  let job;
+  try {
+    job = jobService.submit(images, req.identity.id);
+  } catch (error) {
+    return res.status(503).json({
+      success: false,
+      timestamp: new Date().toISOString(),
+      error: {
+        code: ERROR_CODES.JOB_QUEUE_FULL,
+        message: error.message
+      }
+    });
+  }
+
+  res.status(202)
+    .location(`${req.baseUrl}/${job.jobId}`)
+    .json({ success: true, ...job });
+});
+
+router.get("/:id", requirePermission(PERMISSIONS.HISTORY_READ), (req, res) => {
+  const job = jobService.getJob(req.params.id, getJobOwnerFilter(req));
+  if (!job) {
+    return sendJobNotFound(res, req.params.id);
+  }
+
+  res.json({ success: true, ...job });
+});
+
+router.get("/:id/results", requirePermission(PERMISSIONS.HISTORY_READ), (req, res) => {
+  const job = jobService.getResults(req.params.id, getJobOwnerFilter(req));
+  if (!job) {
+    return sendJobNotFound(res, req.params.id);
+  }
+
+  res.json({ success: true, ...job });
+});
+
+router.delete("/:id", requirePermission(PERMISSIONS.JOBS_SUBMIT), (req, res) => {
+  const job = jobService.cancel(req.params.id, getJobOwnerFilter(req));
+  if (!job) {
+    return sendJobNotFound(res, req.params.id);
+  }
+
+  res.json({ success: true, ...job });
+});
+
+router.use(handleUploadErrors);
+
+export default router;
@@ -0,0 +1,187 @@
+import { raw } from "express";
+import multer from "multer";
+import { IMAGE_CONFIG, ERROR_CODES } from "../socket/SocketEvents.js";
+import {
+  extractImagesFromZip,
+  isZipUpload,
+  ZIP_MIME_TYPES
+} from "../services/archiveService.js";
+
+/**
+ * Utilidades de carga de imágenes compartidas por las rutas de detección
+ * en lote (/api/image/detect/batch) y de jobs asíncronos (/api/jobs)
+ */
+
+// Bytes recibidos por petición multipart (todas sus partes)
+const receivedBytes = new WeakMap();
+
+/**
+ * Almacenamiento en memoria de multer con un límite total por petición
+ * memoryStorage solo limita cada archivo (fileSize); sin este límite un lote
+ * de MAX_FILES partes podría acumular MAX_FILES × MAX_TOTAL_SIZE bytes antes
+ * de que extractBatchImages compruebe el total
+ * @param {number} maxTotalBytes - Bytes máximos entre todas las partes
+ */
+const boundedMemoryStorage = (maxTotalBytes) => ({
+  _handleFile(req, file, cb) {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    file.stream.on("data", (chunk) => {
+      if (failed) {
+        return;
+      }
+
+      const total = (receivedBytes.get(req) || 0) + chunk.length;
+      receivedBytes.set(req, total);
+
+      if (total > maxTotalBytes) {
+        failed = true;
+        chunks.length = 0;
+        const error = new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname);
+        error.message = `Batch too large: more than ${maxTotalBytes} bytes`;
+        return cb(error);
+      }
+
+      chunks.push(chunk);
+      size += chunk.length;
+    });
+    file.stream.on("error", (error) => {
+      if (!failed) {
+        failed = true;
+        cb(error);
+      }
+    });
+    file.stream.on("end", () => {
+      if (!failed) {
+        cb(null, { buffer: Buffer.concat(chunks, size), size });
+      }
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    delete file.buffer;
+    cb(null);
+  }
+});
+
+// Lotes: varias partes multipart (campo "images") o un único ZIP
+export const batchUpload = multer({
+  storage: boundedMemoryStorage(IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE),
+  limits: {
+    fileSize: IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE,
+    files: IMAGE_CONFIG.BATCH.MAX_FILES
+  }
+});
+
+// ZIP como cuerpo binario (curl --data-binary @capturas.zip -H "Content-Type: application/zip")
+export const rawZip = raw({
+  type: ZIP_MIME_TYPES,
+  limit: IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE
+});
+
+// Código HTTP según el código de error del ImageHandler
+export const HTTP_STATUS_BY_ERROR = {
+  [ERROR_CODES.INVALID_IMAGE]: 400,
+  [ERROR_CODES.INVALID_FORMAT]: 415,
+  [ERROR_CODES.IMAGE_TOO_LARGE]: 413,
+  [ERROR_CODES.MODEL_NOT_LOADED]: 503,
+  [ERROR_CODES.PROCESSING_TIMEOUT]: 504,
+  [ERROR_CODES.INTERNAL_ERROR]: 500
+};
+
+/**
+ * Extrae las imágenes de un lote, expandiendo los ZIP recibidos
+ * @param {import("express").Request} req - Petición HTTP
+ * @returns {Object[]} Imágenes en el formato que espera ImageHandler.processBatch
+ */
+export const extractBatchImages = (req) => {
+  const uploads = req.files?.length
+    ? req.files.map((file) => ({
+        filename: file.originalname,
+        data: file.buffer,
+        format: file.mimetype,
+        size: file.size
+      }))
+    : Buffer.isBuffer(req.body) && req.body.length > 0
+      ? [{ filename: "upload.zip", data: req.body, format: "application/zip", size: req.body.length }]
+      : [];
+
+  const images = [];
+  let totalSize = 0;
+
+  for (const upload of uploads) {
+    const expanded = isZipUpload(upload.format, upload.filename)
+      ? extractImagesFromZip(upload.data)
+      : [upload];
+
+    for (const image of expanded) {
+      images.push(image);
+      totalSize += image.size;
+    }
+  }
+
+  if (images.length > IMAGE_CONFIG.BATCH.MAX_FILES) {
+    throw new Error(`Batch too large: ${images.length} images (max: ${IMAGE_CONFIG.BATCH.MAX_FILES})`);
+  }
+  if (totalSize > IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE) {
+    throw new Error(`Batch too large: ${totalSize} bytes (max: ${IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE})`);
+  }
+
+  return images;
+};
+
+/**
+ * Responde con el error producido al extraer un lote (ZIP inválido o demasiado grande)
+ * @param {import("express").Response} res - Respuesta HTTP
+ * @param {Error} error - Error de extracción
+ */
+export const sendBatchExtractionError = (res, error) => {
+  const tooLarge = error.message.includes("too large");
+
+  res.status(tooLarge ? 413 : 400).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: tooLarge ? ERROR_CODES.IMAGE_TOO_LARGE : ERROR_CODES.INVALID_FORMAT,
+      message: error.message
+    }
+  });
+};
+
+/**
+ * Responde a un lote sin imágenes
+ * @param {import("express").Response} res - Respuesta HTTP
+ */
+export const sendNoImagesError = (res) => {
+  res.status(400).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: ERROR_CODES.INVALID_IMAGE,
+      message: 'No images provided. Send multipart fields "images" or a ZIP archive'
+    }
+  });
+};
+
+/**
+ * Middleware de errores de carga (multer / body parser) con el mismo formato de respuesta
+ */
+export const handleUploadErrors = (err, req, res, next) => {
+  const tooLarge = err.code === "LIMIT_FILE_SIZE" || err.type === "entity.too.large";
+  const isUploadError = tooLarge || err instanceof multer.MulterError;
+
+  if (!isUploadError) {
+    return next(err);
+  }
+
+  res.status(tooLarge ? 413 : 400).json({
+    success: false,
+    timestamp: new Date().toISOString(),
+    error: {
+      code: tooLarge ? ERROR_CODES.IMAGE_TOO_LARGE : ERROR_CODES.INVALID_IMAGE,
+      message: err.message
+    }
+  });
+};
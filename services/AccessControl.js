@@ -0,0 +1,136 @@
+/**
+ * AccessControl - Control de acceso por roles
+ * Resuelve los roles de una identidad (cámara, operador, administrador) y sus
+ * permisos a partir de config/roles.json; lo consultan tanto los eventos de
+ * Socket.IO como las rutas HTTP
+ */
+
+import { readFileSync } from 'fs';
+import { AUTH_CONFIG } from '../config/AuthConfig.js';
+import { ERROR_CODES } from '../socket/SocketEvents.js';
+import { createCounter } from './MetricsService.js';
+
+const accessDeniedTotal = createCounter({
+  name: 'access_denied_total',
+  help: 'Operaciones rechazadas por falta de permisos',
+  labelNames: ['permission']
+});
+
+const WILDCARD = '*';
+
+export class AccessControl {
+  constructor(config = AUTH_CONFIG) {
+    this.config = config;
+
+    // rol → Set de permisos
+    this.roles = new Map();
+    // tipo de identidad → roles asignados cuando la identidad no declara los suyos
+    this.defaultRolesByType = {};
+
+    this.load();
+  }
+
+  /**
+   * Carga (o recarga) los roles desde el archivo de configuración
+   * @returns {Object} Roles cargados con sus permisos
+   */
+  load() {
+    return this.apply(this.parse());
+  }
+
+  /**
+   * Lee y valida el archivo de roles sin modificar los roles en uso
+   * @returns {Object} { roles, defaultRolesByType } listo para apply
+   * @throws {Error} Si el archivo no es JSON válido o un rol no declara una lista de permisos
+   */
+  parse() {
+    const { roles = {}, defaultRolesByType = {} } = JSON.parse(readFileSync(this.config.rolesFile, 'utf8'));
+
+    for (const [role, permissions] of Object.entries(roles)) {
+      if (!Array.isArray(permissions)) {
+        throw new Error(`Invalid ${this.config.rolesFile}: role "${role}" must list its permissions`);
+      }
+    }
+
+    return {
+      roles: new Map(Object.entries(roles).map(([role, permissions]) => [role, new Set(permissions)])),
+      defaultRolesByType
+    };
+  }
+
+  /**
+   * Reemplaza los roles en uso por los obtenidos con parse
+   * @param {Object} state - { roles, defaultRolesByType }
+   * @returns {Object} Roles cargados con sus permisos
+   */
+  apply({ roles, defaultRolesByType }) {
+    this.roles = roles;
+    this.defaultRolesByType = defaultRolesByType;
+
+    console.log(`🛡️ ${this.roles.size} roles cargados desde ${this.config.rolesFile}`);
+    return this.getConfig();
+  }
+
+  /**
+   * Roles efectivos de una identidad
+   * @param {Object} identity - Identidad de AuthService
+   * @returns {string[]} Roles declarados por la identidad o los de su tipo
+   */
+  getRoles(identity) {
+    if (!identity) {
+      return [];
+    }
+
+    return identity.roles?.length > 0
+      ? identity.roles
+      : this.defaultRolesByType[identity.type] || [];
+  }
+
+  /**
+   * Indica si una identidad tiene un permiso
+   * @param {Object} identity - Identidad de AuthService
+   * @param {string} permission - Permiso de PERMISSIONS
+   * @returns {boolean}
+   */
+  can(identity, permission) {
+    return this.getRoles(identity).some(role => {
+      const permissions = this.roles.get(role);
+      return Boolean(permissions && (permissions.has(WILDCARD) || permissions.has(permission)));
+    });
+  }
+
+  /**
+   * Verifica un permiso y lanza un error si la identidad no lo tiene
+   * @param {Object} identity - Identidad de AuthService
+   * @param {string} permission - Permiso de PERMISSIONS
+   * @throws {Error} Con code PERMISSION_DENIED
+   */
+  assert(identity, permission) {
+    if (this.can(identity, permission)) {
+      return;
+    }
+
+    accessDeniedTotal.inc({ permission });
+
+    const error = new Error(`Permission denied: ${identity?.id ?? 'unknown'} lacks ${permission}`);
+    error.code = ERROR_CODES.PERMISSION_DENIED;
+    throw error;
+  }
+
+  /**
+   * Configuración de roles vigente (para el endpoint de administración)
+   * @returns {Object} Roles con sus permisos y roles por tipo de identidad
+   */
+  getConfig() {
+    return {
+      rolesFile: this.config.rolesFile,
+      roles: Object.fromEntries([...this.roles].map(([role, permissions]) => [role, [...permissions]])),
+      defaultRolesByType: this.defaultRolesByType
+    };
+  }
+}
+
+// Instancia singleton compartida por Socket.IO y Express
+export const accessControl = new AccessControl();
+
+export default AccessControl;
@@ -0,0 +1,286 @@
+/**
+ * AuthService - Autenticación de cámaras y operadores
+ * Valida API keys o tokens firmados (JWT) y devuelve la identidad del cliente,
+ * compartida por el handshake de Socket.IO y el middleware de /api
+ */
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import jwt from 'jsonwebtoken';
+import { AUTH_CONFIG, IDENTITY_TYPES } from '../config/AuthConfig.js';
+import { ERROR_CODES } from '../socket/SocketEvents.js';
+import { createCounter } from './MetricsService.js';
+
+const authAttemptsTotal = createCounter({
+  name: 'auth_attempts_total',
+  help: 'Intentos de autenticación por transporte y resultado',
+  labelNames: ['transport', 'result']
+});
+
+export class AuthService {
+  constructor(config = AUTH_CONFIG) {
+    this.config = config;
+
+    // sha256(apiKey) → identidad (las keys no se guardan en claro en memoria)
+    this.apiKeys = new Map();
+    // Estrategias en orden de evaluación: name → (credentials) => identity | null
+    this.strategies = new Map();
+
+    this.stats = {
+      succeeded: 0,
+      failed: 0
+    };
+
+    this.registerStrategy('apiKey', (credentials) => this._authenticateApiKey(credentials));
+    this.registerStrategy('jwt', (credentials) => this._authenticateToken(credentials));
+
+    this.loadClients();
+
+    if (!this.config.enabled) {
+      const roles = this.config.anonymousRoles?.join(', ') || 'roles.json (anonymous)';
+      console.warn(`⚠️ Autenticación deshabilitada: todos los clientes son anónimos con roles ${roles}`);
+    }
+  }
+
+  /**
+   * Registra una estrategia de autenticación
+   * La estrategia devuelve null si no aplica a las credenciales recibidas
+   * y lanza un error si aplica pero son inválidas
+   * @param {string} name - Nombre de la estrategia
+   * @param {Function} strategy - (credentials) => identity | null
+   */
+  registerStrategy(name, strategy) {
+    this.strategies.set(name, strategy);
+  }
+
+  /**
+   * Carga (o recarga) las identidades con API key desde el archivo de clientes
+   * @returns {number} Identidades cargadas
+   */
+  loadClients() {
+    return this.applyClients(this.parseClients());
+  }
+
+  /**
+   * Lee y valida el archivo de clientes sin modificar las identidades en uso
+   * @returns {Map|null} API key hasheada → identidad, o null si el archivo no existe
+   * @throws {Error} Si el archivo no es JSON válido o a un cliente le falta id o apiKey
+   */
+  parseClients() {
+    if (!existsSync(this.config.clientsFile)) {
+      return null;
+    }
+
+    const { clients = [] } = JSON.parse(readFileSync(this.config.clientsFile, 'utf8'));
+    const apiKeys = new Map();
+
+    for (const client of clients) {
+      if (!client.id || !client.apiKey) {
+        throw new Error(`Invalid client entry in ${this.config.clientsFile}: id and apiKey are required`);
+      }
+
+      apiKeys.set(this._hashKey(client.apiKey), this._createIdentity({
+        id: client.id,
+        name: client.name,
+        type: client.type,
+        roles: client.roles,
+        tier: client.tier,
+        plateProfile: client.plateProfile
+      }, 'apiKey'));
+    }
+
+    return apiKeys;
+  }
+
+  /**
+   * Reemplaza las identidades en uso por las obtenidas con parseClients
+   * @param {Map|null} apiKeys - Resultado de parseClients
+   * @returns {number} Identidades cargadas
+   */
+  applyClients(apiKeys) {
+    if (!apiKeys) {
+      this.apiKeys = new Map();
+      if (this.config.enabled) {
+        console.warn(`⚠️ Archivo de clientes no encontrado (${this.config.clientsFile}): solo se aceptarán tokens firmados`);
+      }
+      return 0;
+    }
+
+    this.apiKeys = apiKeys;
+    console.log(`🔐 ${this.apiKeys.size} identidades con API key cargadas`);
+    return this.apiKeys.size;
+  }
+
+  /**
+   * Autentica un cliente a partir de sus credenciales
+   * @param {Object} credentials - { apiKey, token }
+   * @param {Object} options - Opciones
+   * @param {string} options.transport - 'http' o 'socket' (métricas)
+   * @param {string} options.fallbackId - ID del cliente cuando la autenticación está deshabilitada
+   * @returns {Object} Identidad { id, name, type, roles, tier, plateProfile, method }
+   * @throws {Error} Con code AUTH_FAILED si las credenciales faltan o son inválidas
+   */
+  authenticate(credentials, options = {}) {
+    const { transport = 'http', fallbackId = null } = options;
+
+    if (!this.config.enabled) {
+      return this._createIdentity({ id: fallbackId, type: IDENTITY_TYPES.ANONYMOUS, roles: this.config.anonymousRoles }, 'none');
+    }
+
+    try {
+      for (const strategy of this.strategies.values()) {
+        const identity = strategy(credentials);
+        if (identity) {
+          this.stats.succeeded++;
+          authAttemptsTotal.inc({ transport, result: 'success' });
+          return identity;
+        }
+      }
+
+      throw this._createError('Missing credentials: send an API key or a bearer token');
+
+    } catch (error) {
+      this.stats.failed++;
+      authAttemptsTotal.inc({ transport, result: 'failure' });
+
+      throw error.code === ERROR_CODES.AUTH_FAILED ? error : this._createError(error.message);
+    }
+  }
+
+  /**
+   * Extrae las credenciales de una petición HTTP
+   * (X-API-Key o Authorization: Bearer <token>)
+   * @param {import('express').Request} req - Petición HTTP
+   * @returns {Object} { apiKey, token }
+   */
+  getCredentialsFromRequest(req) {
+    return {
+      apiKey: req.get(this.config.headers.apiKey) || null,
+      token: this._parseBearer(req.get(this.config.headers.authorization))
+    };
+  }
+
+  /**
+   * Extrae las credenciales del handshake de Socket.IO
+   * (io(url, { auth: { apiKey } }) o { auth: { token } }, con los encabezados HTTP como alternativa)
+   * @param {Object} handshake - socket.handshake
+   * @returns {Object} { apiKey, token }
+   */
+  getCredentialsFromHandshake(handshake) {
+    const { auth = {}, headers = {} } = handshake;
+
+    return {
+      apiKey: auth.apiKey || headers[this.config.headers.apiKey] || null,
+      token: auth.token || this._parseBearer(headers[this.config.headers.authorization])
+    };
+  }
+
+  /**
+   * Huella corta de las credenciales presentadas, para contar sus fallos sin guardarlas en claro
+   * @param {Object} credentials - { apiKey, token }
+   * @returns {string}
+   */
+  getCredentialFingerprint({ apiKey, token } = {}) {
+    return this._hashKey(`${apiKey || ''}|${token || ''}`).slice(0, 16);
+  }
+
+  /**
+   * Obtiene estadísticas de autenticación
+   * @returns {Object} Estado y contadores
+   */
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      strategies: [...this.strategies.keys()],
+      apiKeyClients: this.apiKeys.size,
+      jwtEnabled: Boolean(this.config.jwt.secret),
+      ...this.stats
+    };
+  }
+
+  // Métodos privados
+
+  _authenticateApiKey({ apiKey }) {
+    if (!apiKey) {
+      return null;
+    }
+
+    const identity = this.apiKeys.get(this._hashKey(apiKey));
+    if (!identity) {
+      throw this._createError('Invalid API key');
+    }
+
+    return identity;
+  }
+
+  _authenticateToken({ token }) {
+    if (!token) {
+      return null;
+    }
+    if (!this.config.jwt.secret) {
+      throw this._createError('Token authentication is not configured');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, this.config.jwt.secret, {
+        algorithms: this.config.jwt.algorithms,
+        issuer: this.config.jwt.issuer
+      });
+    } catch (error) {
+      throw this._createError(`Invalid token: ${error.message}`);
+    }
+
+    if (!payload.sub) {
+      throw this._createError('Invalid token: missing subject');
+    }
+
+    return this._createIdentity({
+      id: payload.sub,
+      name: payload.name,
+      type: payload.type,
+      roles: payload.roles,
+      tier: payload.tier,
+      plateProfile: payload.plateProfile
+    }, 'jwt');
+  }
+
+  _createIdentity({ id, name, type, roles, tier, plateProfile }, method) {
+    // Solo la autenticación deshabilitada produce identidades anónimas
+    const allowedTypes = method === 'none'
+      ? [IDENTITY_TYPES.ANONYMOUS]
+      : [IDENTITY_TYPES.CAMERA, IDENTITY_TYPES.OPERATOR];
+
+    return {
+      id,
+      name: name || id,
+      type: allowedTypes.includes(type) ? type : IDENTITY_TYPES.OPERATOR,
+      roles: Array.isArray(roles) ? roles : [],
+      // Nivel de límite de solicitudes (RateLimiter lo resuelve por rol/tipo si falta)
+      tier: tier || null,
+      // Perfil de lectura de placas (config/plateProfiles.json); null usa el perfil por defecto
+      plateProfile: plateProfile || null,
+      method
+    };
+  }
+
+  _parseBearer(header) {
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    return match ? match[1].trim() : null;
+  }
+
+  _hashKey(apiKey) {
+    return createHash('sha256').update(String(apiKey)).digest('hex');
+  }
+
+  _createError(message) {
+    const error = new Error(message);
+    error.code = ERROR_CODES.AUTH_FAILED;
+    return error;
+  }
+}
+
+// Instancia singleton compartida por Socket.IO y Express
+export const authService = new AuthService();
+
+export default AuthService;
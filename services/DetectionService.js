@@ -6,6 +6,30 @@
 import PlateDetector from '../models/PlateDetector.js';
 import { MODEL_CONFIG, getConfig } from '../models/modelConfig.js';
 import { formatErrorResponse } from '../models/modelUtils.js';
+import { createCounter, createHistogram, LATENCY_BUCKETS } from './MetricsService.js';
+
+// Métricas Prometheus (mode: realtime | batch | single)
+const detectionDuration = createHistogram({
+  name: 'detection_duration_seconds',
+  help: 'Latencia de DetectionService.detectPlate en segundos',
+  labelNames: ['mode'],
+  buckets: LATENCY_BUCKETS
+});
+const detectionsTotal = createCounter({
+  name: 'detections_total',
+  help: 'Detecciones ejecutadas por resultado',
+  labelNames: ['mode', 'status']
+});
+const platesDetectedTotal = createCounter({
+  name: 'plates_detected_total',
+  help: 'Detecciones exitosas clasificadas como placa',
+  labelNames: ['mode']
+});
+const cacheLookupsTotal = createCounter({
+  name: 'detection_cache_lookups_total',
+  help: 'Consultas al cache de resultados de detección',
+  labelNames: ['result']
+});
 
 export class DetectionService {
   constructor(environment = 'development') {
@@ -62,6 +86,7 @@ export class DetectionService {
    * Detecta placa vehicular en imagen
    * @param {Buffer} imageBuffer - Buffer de imagen
    * @param {Object} options - Opciones adicionales
+   * @param {AbortSignal} [options.signal] - Aborta la inferencia (el detector libera sus tensores)
    * @returns {Promise<Object>} Resultado de detección
    */
   async detectPlate(imageBuffer, options = {}) {
@@ -71,6 +96,7 @@ export class DetectionService {
 
     const requestId = this._generateRequestId();
     const startTime = Date.now();
+    const mode = options.batchId ? 'batch' : options.realTime ? 'realtime' : 'single';
 
     try {
       // Validar entrada
@@ -89,6 +115,9 @@ export class DetectionService {
 
       // Verificar cache si está habilitado
       const cacheKey = options.enableCache ? this._generateCacheKey(imageBuffer) : null;
+      if (cacheKey) {
+        cacheLookupsTotal.inc({ result: this.resultCache.has(cacheKey) ? 'hit' : 'miss' });
+      }
       if (cacheKey && this.resultCache.has(cacheKey)) {
         console.log(`📋 [${requestId}] Resultado desde cache`);
         const cachedResult = { ...this.resultCache.get(cacheKey) };
@@ -97,7 +126,7 @@ export class DetectionService {
       }
 
       // Ejecutar detección
-      const detectionResult = await this.detector.detectPlate(imageBuffer);
+      const detectionResult = await this.detector.detectPlate(imageBuffer, { signal: options.signal });
 
       // Procesar resultado
       const serviceResult = this._processDetectionResult(detectionResult, requestId, options);
@@ -110,6 +139,7 @@ export class DetectionService {
       // Actualizar estadísticas
       const responseTime = Date.now() - startTime;
       this._updateStats(responseTime, true);
+      this._recordMetrics(mode, responseTime, serviceResult);
 
       // Log resultado
       if (this.config.LOGGING.ENABLE_PERFORMANCE_LOG) {
@@ -121,6 +151,7 @@ export class DetectionService {
     } catch (error) {
       const responseTime = Date.now() - startTime;
       this._updateStats(responseTime, false);
+      this._recordMetrics(mode, responseTime, null);
 
       console.error(`❌ [${requestId}] Error en detección:`, error);
 
@@ -132,6 +163,9 @@ export class DetectionService {
    * Procesa múltiples imágenes en lote
    * @param {Buffer[]} imageBuffers - Array de buffers de imagen
    * @param {Object} options - Opciones de procesamiento
+   * @param {AbortSignal} [options.signal] - Cancela el lote entre imágenes
+   * @param {Function} [options.beforeEach] - Hook async antes de cada imagen (permite ceder CPU)
+   * @param {Function} [options.onProgress] - Callback (batchStats, result, index) tras cada imagen
    * @returns {Promise<Object>} Resultado de procesamiento en lote
    */
   async detectPlatesInBatch(imageBuffers, options = {}) {
@@ -139,6 +173,8 @@ export class DetectionService {
       throw new Error('DetectionService not initialized');
     }
 
+    const { signal, beforeEach, onProgress, ...detectOptions } = options;
+
     const batchId = this._generateRequestId();
     const startTime = Date.now();
 
@@ -153,12 +189,23 @@ export class DetectionService {
         withPlates: 0,
         withoutPlates: 0
       };
+      let cancelled = false;
 
       // Procesar secuencialmente (para evitar sobrecarga de memoria)
       for (let i = 0; i < imageBuffers.length; i++) {
+        if (signal?.aborted) {
+          cancelled = true;
+          console.log(`🛑 [${batchId}] Lote cancelado tras ${i} imágenes`);
+          break;
+        }
+
+        if (beforeEach) {
+          await beforeEach(i);
+        }
+
         try {
           const result = await this.detectPlate(imageBuffers[i], {
-            ...options,
+            ...detectOptions,
             batchIndex: i,
             batchId
           });
@@ -181,20 +228,26 @@ export class DetectionService {
           results.push(this._createErrorResponse(error, `${batchId}-${i}`));
           batchStats.failed++;
         }
+
+        if (onProgress) {
+          onProgress({ ...batchStats }, results[results.length - 1], i);
+        }
       }
 
       const totalTime = Date.now() - startTime;
+      const processed = results.length;
 
       return {
         success: true,
         batchId,
+        cancelled,
         timestamp: new Date().toISOString(),
         stats: batchStats,
         results,
         performance: {
           totalTime,
-          averageTimePerImage: Math.round(totalTime / imageBuffers.length),
-          imagesPerSecond: Math.round((imageBuffers.length / totalTime) * 1000)
+          averageTimePerImage: processed > 0 ? Math.round(totalTime / processed) : 0,
+          imagesPerSecond: totalTime > 0 ? Math.round((processed / totalTime) * 1000) : 0
         }
       };
 
@@ -282,6 +335,21 @@ export class DetectionService {
     console.log('🗑️ Cache limpiado');
   }
 
+  /**
+   * Recarga el modelo del detector y descarta los resultados cacheados con el anterior
+   * @returns {Promise<Object>} Información del modelo cargado
+   */
+  async reloadModel() {
+    if (!this.isInitialized) {
+      throw new Error('DetectionService not initialized. Call initialize() first.');
+    }
+
+    const modelInfo = await this.detector.reloadModel();
+    this.clearCache();
+
+    return modelInfo;
+  }
+
   /**
    * Libera recursos del servicio
    */
@@ -310,7 +378,7 @@ export class DetectionService {
       serviceVersion: '1.0.0',
       options: {
         fromCache: false,
-        batchIndex: options.batchIndex || null,
+        batchIndex: options.batchIndex ?? null,
         batchId: options.batchId || null
       }
     };
@@ -345,6 +413,17 @@ export class DetectionService {
     );
   }
 
+  _recordMetrics(mode, responseTime, serviceResult) {
+    const success = Boolean(serviceResult?.success);
+
+    detectionDuration.observe({ mode }, responseTime / 1000);
+    detectionsTotal.inc({ mode, status: success ? 'success' : 'failure' });
+
+    if (success && serviceResult.result.hasPlate) {
+      platesDetectedTotal.inc({ mode });
+    }
+  }
+
   _generateRequestId() {
     return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
@@ -0,0 +1,208 @@
+/**
+ * GeminiReplyCache - Cache de respuestas de Gemini por hash perceptual
+ * A 2 fps un vehículo detenido produce decenas de frames casi idénticos; el cache
+ * reutiliza la lectura anterior cuando el dHash de la zona central de la imagen
+ * difiere en pocos bits (gemini.cache.maxDistance). El hash es de alta resolución
+ * para que dos placas distintas en la misma escena no coincidan: un hash del frame
+ * completo solo ve la escena fija de la cámara. Las peticiones en curso también se comparten
+ */
+
+import sharp from 'sharp';
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { createCounter } from './MetricsService.js';
+
+const cacheLookupsTotal = createCounter({
+  name: 'gemini_cache_lookups_total',
+  help: 'Consultas al cache de respuestas de Gemini (hit, inflight, miss, bypass)',
+  labelNames: ['result']
+});
+
+/**
+ * Calcula el hash perceptual (dHash) de la zona central de una imagen
+ * (size + 1) x size en escala de grises, un bit por par de píxeles horizontales
+ * @param {Buffer} imageBuffer - Imagen en cualquier formato soportado por Sharp
+ * @param {Object} [options] - { size, centerFraction }
+ * @returns {Promise<bigint>} Hash de size² bits
+ */
+export const perceptualHash = async (imageBuffer, options = {}) => {
+  const { size = 32, centerFraction = 1 } = options;
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const cropWidth = Math.max(1, Math.round(width * centerFraction));
+  const cropHeight = Math.max(1, Math.round(height * centerFraction));
+  const hashWidth = size + 1;
+
+  const pixels = await sharp(imageBuffer)
+    .extract({
+      left: Math.floor((width - cropWidth) / 2),
+      top: Math.floor((height - cropHeight) / 2),
+      width: cropWidth,
+      height: cropHeight
+    })
+    .grayscale()
+    .resize(hashWidth, size, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const index = row * hashWidth + col;
+      hash = (hash << 1n) | (pixels[index] > pixels[index + 1] ? 1n : 0n);
+    }
+  }
+  return hash;
+};
+
+// Bits en 1 de a XOR b (conteo sobre la representación binaria: más rápido que desplazar un bigint de 1024 bits)
+const hammingDistance = (a, b) => {
+  const diff = (a ^ b).toString(2);
+  let distance = 0;
+  for (const bit of diff) {
+    if (bit === '1') {
+      distance++;
+    }
+  }
+  return distance;
+};
+
+export class GeminiReplyCache {
+  constructor(config = DetectionConfig.DEFAULT_CONFIG.gemini.cache) {
+    this.config = config;
+
+    // id → { hash, prompt, reply, pending, expiresAt }
+    this.entries = new Map();
+    this.nextId = 0;
+
+    this.stats = {
+      hits: 0,
+      inflightHits: 0,
+      misses: 0,
+      bypassed: 0,
+      savedBytes: 0
+    };
+  }
+
+  /**
+   * Devuelve la respuesta de un frame equivalente o ejecuta la petición
+   * @param {Buffer} imageBuffer - Imagen (ya recortada) enviada a Gemini
+   * @param {string|undefined} prompt - Prompt personalizado (las respuestas no se comparten entre prompts)
+   * @param {Function} load - () => Promise<string>, petición real a Gemini
+   * @returns {Promise<string>} Respuesta de Gemini
+   */
+  async getOrLoad(imageBuffer, prompt, load) {
+    if (!this.config.enabled) {
+      return load();
+    }
+
+    let hash;
+    try {
+      hash = await perceptualHash(imageBuffer, {
+        size: this.config.hashSize,
+        centerFraction: this.config.hashCenterFraction
+      });
+    } catch (error) {
+      // Imagen que Sharp no decodifica: se envía sin cache y Gemini decide
+      this.stats.bypassed++;
+      cacheLookupsTotal.inc({ result: 'bypass' });
+      return load();
+    }
+
+    const cached = this._find(hash, prompt ?? null);
+    if (cached) {
+      const inflight = Boolean(cached.pending);
+      this.stats[inflight ? 'inflightHits' : 'hits']++;
+      this.stats.savedBytes += imageBuffer.length;
+      cacheLookupsTotal.inc({ result: inflight ? 'inflight' : 'hit' });
+      return inflight ? cached.pending : cached.reply;
+    }
+
+    this.stats.misses++;
+    cacheLookupsTotal.inc({ result: 'miss' });
+    return this._load(hash, prompt ?? null, load);
+  }
+
+  /**
+   * Vacía el cache
+   * @returns {number} Entradas eliminadas
+   */
+  clear() {
+    const cleared = this.entries.size;
+    this.entries.clear();
+    return cleared;
+  }
+
+  /**
+   * Obtiene estadísticas del cache
+   * @returns {Object} Configuración, tamaño y ahorro
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.inflightHits + this.stats.misses;
+
+    return {
+      enabled: this.config.enabled,
+      size: this.entries.size,
+      maxEntries: this.config.maxEntries,
+      ttlMs: this.config.ttlMs,
+      hashSize: this.config.hashSize,
+      maxDistance: this.config.maxDistance,
+      ...this.stats,
+      savedRequests: this.stats.hits + this.stats.inflightHits,
+      hitRate: lookups > 0 ? Number(((this.stats.hits + this.stats.inflightHits) / lookups).toFixed(3)) : 0
+    };
+  }
+
+  // Métodos privados
+
+  _find(hash, prompt) {
+    const now = Date.now();
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id);
+        continue;
+      }
+      if (entry.prompt !== prompt) {
+        continue;
+      }
+
+      const distance = hammingDistance(hash, entry.hash);
+      if (distance <= this.config.maxDistance && distance < bestDistance) {
+        best = entry;
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  async _load(hash, prompt, load) {
+    const id = this.nextId++;
+    const entry = { hash, prompt, reply: null, pending: null, expiresAt: Infinity };
+
+    // Limpiar cache si está lleno (la entrada más antigua primero)
+    if (this.entries.size >= this.config.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    entry.pending = load();
+    this.entries.set(id, entry);
+
+    try {
+      entry.reply = await entry.pending;
+      entry.pending = null;
+      entry.expiresAt = Date.now() + this.config.ttlMs;
+      return entry.reply;
+    } catch (error) {
+      // Los errores no se cachean: el siguiente frame vuelve a intentarlo
+      this.entries.delete(id);
+      throw error;
+    }
+  }
+}
+
+// Instancia singleton usada por geminiService
+export const geminiReplyCache = new GeminiReplyCache();
+
+export default GeminiReplyCache;
@@ -0,0 +1,246 @@
+/**
+ * GeminiUsageTracker - Consumo real de Gemini por key y versión
+ * Cuenta peticiones, tokens (usageMetadata de la API) y errores por día, los
+ * persiste en disco para sobrevivir reinicios y aplica presupuestos diarios:
+ *   - dailyRequests / dailyTokens: al agotarse, geminiService rechaza las lecturas
+ *     (y PlateReadingService las omite, entregando solo la detección)
+ *   - endpointDailyRequests: la key/versión agotada sale de la rotación hasta el día siguiente
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { createCounter } from './MetricsService.js';
+
+const FILE_VERSION = 1;
+
+const geminiTokensTotal = createCounter({
+  name: 'gemini_tokens_total',
+  help: 'Tokens consumidos en Gemini por API key, versión y tipo (prompt, output)',
+  labelNames: ['key', 'version', 'type']
+});
+
+const emptyCounters = () => ({
+  requests: 0,
+  successes: 0,
+  errors: 0,
+  promptTokens: 0,
+  outputTokens: 0,
+  totalTokens: 0
+});
+
+const addCounters = (target, source) => {
+  for (const field of Object.keys(target)) {
+    target[field] += source[field] || 0;
+  }
+  return target;
+};
+
+export class GeminiUsageTracker {
+  constructor(config = DetectionConfig.DEFAULT_CONFIG.gemini.usage) {
+    this.config = config;
+
+    // día (YYYY-MM-DD en config.timeZone) → endpointId → contadores
+    this.days = {};
+    // endpointId → contadores acumulados desde el primer registro
+    this.lifetime = {};
+
+    this.dirty = false;
+    this.flushInterval = null;
+    this.saving = null;
+
+    this.load();
+  }
+
+  /**
+   * Carga el consumo guardado; un archivo inválido se ignora y se empieza de cero
+   * @returns {number} Días cargados
+   */
+  load() {
+    if (!existsSync(this.config.file)) {
+      return 0;
+    }
+
+    try {
+      const data = JSON.parse(readFileSync(this.config.file, 'utf8'));
+      this.days = data.days || {};
+      this.lifetime = data.lifetime || {};
+      this._pruneDays();
+      console.log(`📊 Consumo de Gemini cargado: ${Object.keys(this.days).length} días (${this.config.file})`);
+    } catch (error) {
+      console.error(`❌ Archivo de consumo de Gemini inválido (${this.config.file}), se reinicia:`, error.message);
+      this.days = {};
+      this.lifetime = {};
+    }
+
+    return Object.keys(this.days).length;
+  }
+
+  /**
+   * Registra el resultado de un intento contra un endpoint
+   * @param {Object} endpoint - { id, label, version } de la rotación
+   * @param {Object} result - { success, usage } con usage = usageMetadata de Gemini
+   */
+  record(endpoint, { success, usage = null }) {
+    const counters = {
+      ...emptyCounters(),
+      requests: 1,
+      successes: success ? 1 : 0,
+      errors: success ? 0 : 1,
+      promptTokens: usage?.promptTokenCount || 0,
+      outputTokens: usage?.candidatesTokenCount || 0,
+      totalTokens: usage?.totalTokenCount || 0
+    };
+
+    const today = this._getDay();
+    this.days[today] = this.days[today] || {};
+    this.days[today][endpoint.id] = addCounters(this.days[today][endpoint.id] || emptyCounters(), counters);
+    this.lifetime[endpoint.id] = addCounters(this.lifetime[endpoint.id] || emptyCounters(), counters);
+
+    geminiTokensTotal.inc({ key: endpoint.label, version: endpoint.version, type: 'prompt' }, counters.promptTokens);
+    geminiTokensTotal.inc({ key: endpoint.label, version: endpoint.version, type: 'output' }, counters.outputTokens);
+
+    this.dirty = true;
+    this._ensureFlush();
+  }
+
+  /**
+   * Indica si se agotó el presupuesto diario global (peticiones o tokens)
+   * @returns {boolean}
+   */
+  isBudgetExhausted() {
+    const { dailyRequests, dailyTokens } = this.config.budgets;
+    const today = this._getTotals(this._getDay());
+
+    return (dailyRequests > 0 && today.requests >= dailyRequests) ||
+      (dailyTokens > 0 && today.totalTokens >= dailyTokens);
+  }
+
+  /**
+   * Indica si una key/versión agotó su presupuesto diario de peticiones
+   * @param {string} endpointId - "<key>:<versión>"
+   * @returns {boolean}
+   */
+  isEndpointExhausted(endpointId) {
+    const { endpointDailyRequests } = this.config.budgets;
+    const requests = this.days[this._getDay()]?.[endpointId]?.requests || 0;
+
+    return endpointDailyRequests > 0 && requests >= endpointDailyRequests;
+  }
+
+  /**
+   * Consumo de hoy de una key/versión
+   * @param {string} endpointId - "<key>:<versión>"
+   * @returns {Object} Contadores del día
+   */
+  getEndpointUsage(endpointId) {
+    return { ...emptyCounters(), ...this.days[this._getDay()]?.[endpointId] };
+  }
+
+  /**
+   * Obtiene el consumo diario, los presupuestos y el histórico retenido
+   * @returns {Object}
+   */
+  getStats() {
+    const day = this._getDay();
+    const today = this._getTotals(day);
+    const { dailyRequests, dailyTokens, endpointDailyRequests } = this.config.budgets;
+
+    return {
+      day,
+      timeZone: this.config.timeZone,
+      budgets: { dailyRequests, dailyTokens, endpointDailyRequests },
+      budgetExhausted: this.isBudgetExhausted(),
+      today,
+      remaining: {
+        requests: dailyRequests > 0 ? Math.max(0, dailyRequests - today.requests) : null,
+        tokens: dailyTokens > 0 ? Math.max(0, dailyTokens - today.totalTokens) : null
+      },
+      lifetime: Object.values(this.lifetime).reduce((total, counters) => addCounters(total, counters), emptyCounters()),
+      history: Object.keys(this.days).sort().map(historyDay => ({ day: historyDay, ...this._getTotals(historyDay) }))
+    };
+  }
+
+  /**
+   * Escribe el consumo en disco si hubo cambios
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.saving) {
+      // Esperar el guardado en curso; los cambios posteriores se escriben a continuación
+      await this.saving;
+      return this.flush();
+    }
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    this._pruneDays();
+    const data = JSON.stringify({ version: FILE_VERSION, days: this.days, lifetime: this.lifetime }, null, 2);
+
+    // Escritura atómica: un reinicio a mitad de escritura no corrompe el archivo
+    this.saving = (async () => {
+      const tempFile = `${this.config.file}.tmp`;
+      await fs.mkdir(path.dirname(this.config.file), { recursive: true });
+      await fs.writeFile(tempFile, data);
+      await fs.rename(tempFile, this.config.file);
+    })()
+      .catch(error => {
+        this.dirty = true;
+        console.error('❌ Error guardando consumo de Gemini:', error.message);
+      })
+      .finally(() => {
+        this.saving = null;
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * Guarda los cambios pendientes y detiene el guardado periódico
+   * @returns {Promise<void>}
+   */
+  async dispose() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    await this.flush();
+  }
+
+  // Métodos privados
+
+  _getDay(date = new Date()) {
+    // en-CA formatea como YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: this.config.timeZone }).format(date);
+  }
+
+  _getTotals(day) {
+    return Object.values(this.days[day] || {}).reduce((total, counters) => addCounters(total, counters), emptyCounters());
+  }
+
+  _pruneDays() {
+    const retained = Object.keys(this.days).sort().slice(-this.config.retentionDays);
+    for (const day of Object.keys(this.days)) {
+      if (!retained.includes(day)) {
+        delete this.days[day];
+      }
+    }
+  }
+
+  _ensureFlush() {
+    if (this.flushInterval) {
+      return;
+    }
+
+    this.flushInterval = setInterval(() => this.flush(), this.config.flushIntervalMs);
+    this.flushInterval.unref();
+  }
+}
+
+// Instancia singleton usada por geminiService
+export const geminiUsageTracker = new GeminiUsageTracker();
+
+export default GeminiUsageTracker;
@@ -0,0 +1,343 @@
+/**
+ * JobService - Jobs asíncronos de detección en lote
+ * Permite enviar lotes grandes sin esperar la respuesta HTTP: el cliente recibe
+ * un id, consulta el progreso y recupera los resultados durante el periodo de retención
+ */
+
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { imageHandler } from '../socket/ImageHandler.js';
+import { ERROR_CODES } from '../socket/SocketEvents.js';
+import { createGauge } from './MetricsService.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+export class JobService {
+  constructor(handler = imageHandler, config = DetectionConfig.DEFAULT_CONFIG.jobs) {
+    // Reutiliza el ImageHandler (y su DetectionService) del flujo en tiempo real
+    this.imageHandler = handler;
+    this.config = config;
+
+    this.jobs = new Map();
+    this.pendingJobs = [];
+    this.runningJobs = 0;
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Registra un nuevo job y lo encola para procesamiento
+   * @param {Object[]} images - Imágenes ({ filename, data, format, size })
+   * @param {string} clientId - Identificador del cliente que envía el lote
+   * @returns {Object} Estado público del job
+   * @throws {Error} Con code JOB_QUEUE_FULL si se supera el límite de jobs o de bytes pendientes
+   */
+  submit(images, clientId) {
+    this._ensureCleanup();
+
+    if (this.jobs.size >= this.config.maxStoredJobs) {
+      this._removeExpiredJobs();
+      if (this.jobs.size >= this.config.maxStoredJobs) {
+        throw this._createQueueFullError(`Too many jobs stored (max: ${this.config.maxStoredJobs})`);
+      }
+    }
+
+    const bytes = images.reduce((total, image) => total + (image.data?.length || 0), 0);
+    this._assertPendingCapacity(clientId, bytes);
+
+    const job = {
+      id: this._generateJobId(),
+      clientId,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      progress: { processed: 0, total: images.length },
+      stats: null,
+      result: null,
+      error: null,
+      images,
+      bytes,
+      abortController: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.pendingJobs.push(job);
+    console.log(`🗂️ [${job.id}] Job encolado con ${images.length} imágenes (${clientId})`);
+
+    this._runNext();
+
+    return this._toPublicJob(job);
+  }
+
+  /**
+   * Obtiene el estado de un job
+   * @param {string} jobId - ID del job
+   * @param {string|null} [ownerId] - Solo lo devuelve si pertenece a este cliente (null: cualquiera)
+   * @returns {Object|null} Estado público o null si no existe / expiró
+   */
+  getJob(jobId, ownerId = null) {
+    const job = this._findJob(jobId, ownerId);
+    return job ? this._toPublicJob(job) : null;
+  }
+
+  /**
+   * Obtiene los resultados de un job terminado
+   * @param {string} jobId - ID del job
+   * @param {string|null} [ownerId] - Solo lo devuelve si pertenece a este cliente (null: cualquiera)
+   * @returns {Object|null} Resultados del lote o null si no existe / expiró
+   */
+  getResults(jobId, ownerId = null) {
+    const job = this._findJob(jobId, ownerId);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      ...this._toPublicJob(job),
+      results: job.result?.results || null
+    };
+  }
+
+  /**
+   * Cancela un job encolado o en ejecución
+   * @param {string} jobId - ID del job
+   * @param {string|null} [ownerId] - Solo lo cancela si pertenece a este cliente (null: cualquiera)
+   * @returns {Object|null} Estado público o null si no existe / expiró
+   */
+  cancel(jobId, ownerId = null) {
+    const job = this._findJob(jobId, ownerId);
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pendingJobs = this.pendingJobs.filter(pending => pending !== job);
+      this._finishJob(job, JOB_STATUS.CANCELLED);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      // El lote se detiene antes de la siguiente imagen
+      job.abortController.abort();
+    }
+
+    return this._toPublicJob(job);
+  }
+
+  /**
+   * Obtiene estadísticas de los jobs
+   * @returns {Object} Conteo de jobs por estado
+   */
+  getStats() {
+    const byStatus = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+    for (const job of this.jobs.values()) {
+      byStatus[job.status]++;
+    }
+
+    return {
+      stored: this.jobs.size,
+      pending: this.pendingJobs.length,
+      running: this.runningJobs,
+      pendingBytes: this._getPendingBytes(),
+      byStatus,
+      retentionMs: this.config.retentionMs
+    };
+  }
+
+  /**
+   * Detiene la limpieza periódica y cancela los jobs activos
+   */
+  dispose() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+
+    for (const job of this.jobs.values()) {
+      job.abortController.abort();
+    }
+  }
+
+  // Métodos privados
+
+  _runNext() {
+    while (this.runningJobs < this.config.maxConcurrentJobs && this.pendingJobs.length > 0) {
+      const job = this.pendingJobs.shift();
+      this.runningJobs++;
+
+      this._runJob(job).finally(() => {
+        this.runningJobs--;
+        this._runNext();
+      });
+    }
+  }
+
+  async _runJob(job) {
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    console.log(`▶️ [${job.id}] Job iniciado`);
+
+    try {
+      const result = await this.imageHandler.processBatch(job.images, job.clientId, {
+        signal: job.abortController.signal,
+        beforeEach: () => this._yieldToRealTime(),
+        onProgress: ({ processed, stats }) => {
+          job.progress.processed = processed;
+          job.stats = stats;
+        }
+      });
+
+      if (!result.success) {
+        throw new Error(result.error.message);
+      }
+
+      job.result = result;
+      job.stats = result.summary;
+      job.progress.processed = result.summary.processed;
+
+      this._finishJob(job, result.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED);
+
+    } catch (error) {
+      console.error(`❌ [${job.id}] Error en job:`, error);
+      job.error = error.message;
+      this._finishJob(job, JOB_STATUS.FAILED);
+    }
+  }
+
+  _finishJob(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + this.config.retentionMs).toISOString();
+    job.images = null; // Liberar buffers, solo se retienen los resultados
+
+    console.log(`⏹️ [${job.id}] Job ${status} (${job.progress.processed}/${job.progress.total})`);
+  }
+
+  /**
+   * Cede el event loop entre imágenes y pausa si hay detecciones en tiempo real,
+   * para que los lotes no retrasen el tráfico de las cámaras
+   */
+  async _yieldToRealTime() {
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (this.imageHandler.activeRealTimeRequests > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.config.realTimeYieldMs));
+    }
+  }
+
+  _findJob(jobId, ownerId = null) {
+    const job = this.jobs.get(jobId);
+    // Los jobs de otros clientes se reportan como inexistentes
+    if (!job || (ownerId !== null && job.clientId !== ownerId)) {
+      return null;
+    }
+
+    if (this._isExpired(job)) {
+      this.jobs.delete(jobId);
+      return null;
+    }
+
+    return job;
+  }
+
+  _assertPendingCapacity(clientId, bytes) {
+    const { maxPendingJobsPerClient, maxPendingBytesPerClient, maxPendingBytes } = this.config;
+    const clientJobs = [...this.jobs.values()].filter(job => job.images && job.clientId === clientId);
+    const clientBytes = clientJobs.reduce((total, job) => total + job.bytes, 0);
+
+    if (clientJobs.length >= maxPendingJobsPerClient) {
+      throw this._createQueueFullError(`Too many pending jobs for ${clientId} (max: ${maxPendingJobsPerClient})`);
+    }
+    if (clientBytes + bytes > maxPendingBytesPerClient) {
+      throw this._createQueueFullError(`Pending jobs for ${clientId} exceed ${maxPendingBytesPerClient} bytes`);
+    }
+    if (this._getPendingBytes() + bytes > maxPendingBytes) {
+      throw this._createQueueFullError(`Pending jobs exceed ${maxPendingBytes} bytes`);
+    }
+  }
+
+  // Bytes de imágenes retenidos por los jobs encolados o en ejecución
+  _getPendingBytes() {
+    let total = 0;
+    for (const job of this.jobs.values()) {
+      if (job.images) {
+        total += job.bytes;
+      }
+    }
+    return total;
+  }
+
+  _createQueueFullError(message) {
+    const error = new Error(message);
+    error.code = ERROR_CODES.JOB_QUEUE_FULL;
+    return error;
+  }
+
+  _isExpired(job) {
+    return FINISHED_STATUSES.includes(job.status) && new Date(job.expiresAt).getTime() <= Date.now();
+  }
+
+  _removeExpiredJobs() {
+    for (const [jobId, job] of this.jobs) {
+      if (this._isExpired(job)) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  _ensureCleanup() {
+    if (this.cleanupInterval) {
+      return;
+    }
+
+    this.cleanupInterval = setInterval(() => this._removeExpiredJobs(), this.config.cleanupIntervalMs);
+    this.cleanupInterval.unref();
+  }
+
+  _toPublicJob(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      clientId: job.clientId,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.expiresAt,
+      progress: {
+        ...job.progress,
+        percentage: job.progress.total > 0
+          ? Math.round((job.progress.processed / job.progress.total) * 100)
+          : 0
+      },
+      stats: job.stats,
+      performance: job.result?.performance || null,
+      error: job.error
+    };
+  }
+
+  _generateJobId() {
+    return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+}
+
+// Instancia singleton que comparte el DetectionService del ImageHandler
+export const jobService = new JobService();
+
+createGauge({
+  name: 'detection_jobs',
+  help: 'Jobs de detección almacenados por estado',
+  labelNames: ['status'],
+  collect() {
+    const { byStatus } = jobService.getStats();
+    for (const [status, count] of Object.entries(byStatus)) {
+      this.set({ status }, count);
+    }
+  }
+});
+
+export default JobService;
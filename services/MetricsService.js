@@ -0,0 +1,62 @@
+/**
+ * MetricsService - Registro único de métricas Prometheus
+ * Cada módulo registra aquí sus métricas (contadores, histogramas o gauges que
+ * leen sus estadísticas en memoria al momento del scrape) y /metrics las expone
+ */
+
+import client from 'prom-client';
+
+export const METRICS_PREFIX = 'irix_';
+
+export const metricsRegistry = new client.Registry();
+
+// Métricas del proceso Node.js (CPU, heap, event loop, GC)
+client.collectDefaultMetrics({ register: metricsRegistry, prefix: METRICS_PREFIX });
+
+/**
+ * Crea un contador registrado en el registro único
+ * @param {Object} config - Configuración de prom-client (name sin prefijo)
+ * @returns {client.Counter}
+ */
+export const createCounter = (config) => new client.Counter({
+  ...config,
+  name: `${METRICS_PREFIX}${config.name}`,
+  registers: [metricsRegistry]
+});
+
+/**
+ * Crea un gauge registrado en el registro único
+ * Usar `collect` para leer estadísticas existentes en cada scrape
+ * @param {Object} config - Configuración de prom-client (name sin prefijo)
+ * @returns {client.Gauge}
+ */
+export const createGauge = (config) => new client.Gauge({
+  ...config,
+  name: `${METRICS_PREFIX}${config.name}`,
+  registers: [metricsRegistry]
+});
+
+/**
+ * Crea un histograma registrado en el registro único
+ * @param {Object} config - Configuración de prom-client (name sin prefijo)
+ * @returns {client.Histogram}
+ */
+export const createHistogram = (config) => new client.Histogram({
+  ...config,
+  name: `${METRICS_PREFIX}${config.name}`,
+  registers: [metricsRegistry]
+});
+
+// Buckets de latencia en segundos, centrados en el objetivo de 2fps (500ms por frame)
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 2, 5, 10];
+
+/**
+ * Serializa todas las métricas en formato de texto Prometheus
+ * @returns {Promise<{contentType: string, body: string}>}
+ */
+export const renderMetrics = async () => ({
+  contentType: metricsRegistry.contentType,
+  body: await metricsRegistry.metrics()
+});
+
+export default metricsRegistry;
@@ -120,15 +120,19 @@ export class PerformanceMonitor {
       };
     }
     
-    return {
+    const stats = {
       uptime: uptime,
       detectionCount: detectionCount,
       averageInferenceTime: this._calculateAverage(this.metrics.inferenceTime),
       averageMemoryUsage: this._calculateAverage(this.metrics.memoryUsage),
       tensorReuseRate: this._calculateAverage(this.metrics.tensorReuse),
       memoryLeaks: this.metrics.memoryLeaks,
-      recommendations: this.recommendations,
-      performance: this._calculatePerformanceScore()
+      recommendations: this.recommendations
+    };
+
+    return {
+      ...stats,
+      performance: this._calculatePerformanceScore(stats)
     };
   }
 
@@ -224,9 +228,7 @@ export class PerformanceMonitor {
     return Math.round(sum / values.length);
   }
 
-  _calculatePerformanceScore() {
-    const stats = this.getStats();
-    
+  _calculatePerformanceScore(stats) {
     if (stats.detectionCount === 0) return 0;
     
     let score = 100;
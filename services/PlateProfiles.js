@@ -0,0 +1,160 @@
+/**
+ * PlateProfiles - Perfiles de lectura de placas por país y tipo de vehículo
+ * Cada perfil de config/plateProfiles.json define el prompt enviado al proveedor
+ * OCR (plantilla + descripción + ejemplos) y los formatos válidos de placa:
+ * un conjunto integrado de validators/PlateFormat.js (formatSet, opcionalmente
+ * filtrado con formatNames) o formatos propios (regex, o { pattern, template,
+ * category } para corregir confusiones del OCR).
+ * Las cámaras eligen su perfil con "plateProfile" (clients.json o claim del token)
+ */
+
+import { readFileSync } from 'fs';
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { PlateFormat, PLATE_FORMAT_SETS } from '../validators/PlateFormat.js';
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+// Plantilla de posiciones de un formato: L = letra, D = dígito
+const POSITION_TEMPLATE = /^[LD]+$/;
+
+export class PlateProfiles {
+  constructor(config = DetectionConfig.DEFAULT_CONFIG.plateReading) {
+    this.config = config;
+
+    // id → { id, name, prompt, plateFormat: PlateFormat }
+    this.profiles = new Map();
+    this.defaultProfile = null;
+
+    this.load();
+  }
+
+  /**
+   * Carga (o recarga) los perfiles; un archivo inválido no reemplaza los ya cargados
+   * @returns {Object} Perfiles cargados (getConfig)
+   * @throws {Error} Si falta una plantilla, un formato no compila o el perfil por defecto no existe
+   */
+  load() {
+    return this.apply(this.parse());
+  }
+
+  /**
+   * Lee y valida el archivo de perfiles sin modificar los perfiles en uso
+   * @returns {Object} { profiles, defaultProfile } listo para apply
+   * @throws {Error} Si falta una plantilla, un formato no compila o el perfil por defecto no existe
+   */
+  parse() {
+    const { defaultProfile, templates = {}, profiles = {} } = JSON.parse(readFileSync(this.config.profilesFile, 'utf8'));
+    const loaded = new Map();
+
+    for (const [id, profile] of Object.entries(profiles)) {
+      loaded.set(id, this._buildProfile(id, profile, templates));
+    }
+
+    if (!loaded.has(defaultProfile)) {
+      throw new Error(`Invalid ${this.config.profilesFile}: default profile "${defaultProfile}" is not defined`);
+    }
+
+    return { profiles: loaded, defaultProfile };
+  }
+
+  /**
+   * Reemplaza los perfiles en uso por los obtenidos con parse
+   * @param {Object} state - { profiles, defaultProfile }
+   * @returns {Object} Perfiles cargados (getConfig)
+   */
+  apply({ profiles, defaultProfile }) {
+    this.profiles = profiles;
+    this.defaultProfile = defaultProfile;
+
+    console.log(`🌎 ${this.profiles.size} perfiles de placa cargados (por defecto: ${defaultProfile})`);
+    return this.getConfig();
+  }
+
+  /**
+   * Obtiene un perfil; los IDs desconocidos o vacíos usan el perfil por defecto
+   * @param {string|null} id - ID del perfil (identity.plateProfile)
+   * @returns {Object} { id, name, prompt, plateFormat }
+   */
+  get(id) {
+    if (id && !this.profiles.has(id)) {
+      console.warn(`⚠️ Perfil de placa desconocido "${id}", se usa ${this.defaultProfile}`);
+    }
+
+    return this.profiles.get(id) || this.profiles.get(this.defaultProfile);
+  }
+
+  /**
+   * Resumen de los perfiles para administración
+   * @returns {Object} { defaultProfile, profiles: [{ id, name, formats }] }
+   */
+  getConfig() {
+    return {
+      defaultProfile: this.defaultProfile,
+      profiles: [...this.profiles.values()].map(({ id, name, plateFormat }) => ({
+        id,
+        name,
+        formats: plateFormat.describe()
+      }))
+    };
+  }
+
+  // Métodos privados
+
+  _buildProfile(id, profile, templates) {
+    let prompt = profile.prompt;
+
+    if (!prompt) {
+      const template = templates[profile.template];
+      if (!template) {
+        throw new Error(`Invalid plate profile "${id}": unknown template "${profile.template}"`);
+      }
+      prompt = template.replace(PLACEHOLDER, (match, field) => profile[field] ?? match);
+    }
+
+    const formats = profile.formatSet
+      ? this._getFormatSet(id, profile.formatSet, profile.formatNames)
+      : Object.entries(profile.formats || {}).map(([format, definition]) => this._buildFormat(id, format, definition));
+
+    if (formats.length === 0) {
+      throw new Error(`Invalid plate profile "${id}": at least one format is required`);
+    }
+
+    return { id, name: profile.name || id, prompt, plateFormat: new PlateFormat(formats) };
+  }
+
+  _getFormatSet(id, setName, names) {
+    const formatSet = PLATE_FORMAT_SETS[setName];
+    if (!formatSet) {
+      throw new Error(`Invalid plate profile "${id}": unknown format set "${setName}"`);
+    }
+    if (!names) {
+      return formatSet;
+    }
+
+    return names.map(name => {
+      const format = formatSet.find(candidate => candidate.name === name);
+      if (!format) {
+        throw new Error(`Invalid plate profile "${id}": format set "${setName}" has no format "${name}"`);
+      }
+      return format;
+    });
+  }
+
+  _buildFormat(id, name, definition) {
+    const { pattern, template = null, category = null } = typeof definition === 'string' ? { pattern: definition } : definition;
+
+    if (template && !POSITION_TEMPLATE.test(template)) {
+      throw new Error(`Invalid plate profile "${id}": format "${name}" template must only contain L and D`);
+    }
+
+    try {
+      return { name, category, template, pattern: new RegExp(pattern) };
+    } catch (error) {
+      throw new Error(`Invalid plate profile "${id}": format "${name}" is not a valid regex (${error.message})`);
+    }
+  }
+}
+
+// Instancia singleton compartida por la lectura de placas y geminiService
+export const plateProfiles = new PlateProfiles();
+
+export default PlateProfiles;
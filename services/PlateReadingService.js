@@ -0,0 +1,231 @@
+/**
+ * PlateReadingService - Lectura de caracteres de placas (segunda etapa)
+ * El detector TensorFlow solo responde si hay placa; cuando la probabilidad
+ * supera el umbral configurado se envía el frame al proveedor OCR (ocr.provider)
+ * para leer las placas. Con el proveedor no disponible (circuit breaker de Gemini
+ * abierto) se entregan solo resultados de detección
+ */
+
+import sharp from 'sharp';
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { createOcrProvider } from '../adapters/ocrProviders.js';
+import { ERROR_CODES } from '../socket/SocketEvents.js';
+import { parsePlateReply, PARSE_STATUS } from './plateReplyParser.js';
+import { plateProfiles } from './PlateProfiles.js';
+import { createCounter, createHistogram, LATENCY_BUCKETS } from './MetricsService.js';
+
+// Imagen enviada al proveedor (plateReading.crop.mode)
+export const CROP_MODES = {
+  FULL: 'full', // Frame completo
+  CENTER: 'center' // Recorte central ampliado
+};
+
+const plateReadsTotal = createCounter({
+  name: 'plate_reads_total',
+  help: 'Lecturas de placa enviadas al proveedor OCR por resultado',
+  labelNames: ['status']
+});
+const plateReadDuration = createHistogram({
+  name: 'plate_read_duration_seconds',
+  help: 'Latencia de la lectura de placas con el proveedor OCR',
+  buckets: LATENCY_BUCKETS
+});
+
+export class PlateReadingService {
+  constructor(config = DetectionConfig.DEFAULT_CONFIG.plateReading, provider = createOcrProvider()) {
+    this.config = config;
+    if (!Object.values(CROP_MODES).includes(config.crop.mode)) {
+      console.warn(`⚠️ Recorte de lectura desconocido "${config.crop.mode}", se envía el frame completo`);
+    }
+    // OcrProvider: recognize(imageBuffer) → texto crudo, isAvailable()
+    this.provider = provider;
+
+    this.stats = {
+      requested: 0,
+      successful: 0,
+      withPlates: 0,
+      failed: 0,
+      skipped: 0,
+      originalBytes: 0,
+      sentBytes: 0,
+      averageProcessingTime: 0
+    };
+  }
+
+  /**
+   * Indica si una detección debe pasar a la lectura de caracteres
+   * Las detecciones elegibles se omiten (stats.skipped) mientras el proveedor no esté disponible
+   * @param {Object} detectionResult - Resultado de DetectionService.detectPlate
+   * @returns {boolean}
+   */
+  shouldRead(detectionResult) {
+    const eligible = Boolean(
+      this.config.enabled &&
+      detectionResult?.success &&
+      detectionResult.result?.hasPlate &&
+      detectionResult.result.probability >= this.config.minProbability
+    );
+
+    if (eligible && !this.provider.isAvailable()) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    return eligible;
+  }
+
+  /**
+   * Lee las placas de una imagen con el proveedor OCR
+   * No lanza errores: un fallo se devuelve como resultado con success: false
+   * @param {Buffer} imageBuffer - Imagen original (sin el redimensionado del detector)
+   * @param {string} sourceId - ID del cliente para logs
+   * @param {Object} [options] - Opciones de lectura
+   * @param {string} [options.priority] - OCR_PRIORITIES para la cola del proveedor
+   * @param {string} [options.profile] - Perfil de placa de la cámara (identity.plateProfile); prompt y formatos válidos
+   * @returns {Promise<Object>} { success, provider, profile, plates: [{ raw, plate, valid, format, category, corrections, confidence }], parseStatus, image, processingTime, timestamp } o error
+   */
+  async readPlates(imageBuffer, sourceId, options = {}) {
+    const startTime = Date.now();
+    const profile = plateProfiles.get(options.profile);
+    this.stats.requested++;
+
+    try {
+      const image = await this._prepareImage(imageBuffer, sourceId);
+      const rawReply = await this.provider.recognize(image.buffer, {
+        priority: options.priority,
+        prompt: profile.prompt
+      });
+      const { status: parseStatus, plates } = parsePlateReply(rawReply, profile.plateFormat);
+      const validPlates = plates.filter(candidate => candidate.valid).map(candidate => candidate.plate);
+      const processingTime = Date.now() - startTime;
+
+      this._recordRead(processingTime, validPlates.length > 0 ? 'success' : 'empty');
+
+      if (parseStatus === PARSE_STATUS.UNPARSEABLE) {
+        // La respuesta cruda solo queda en el log, no se entrega a los clientes
+        console.warn(`⚠️ [${sourceId}] Respuesta de ${this.provider.name} no interpretable: ${JSON.stringify(String(rawReply).slice(0, 200))}`);
+      }
+      console.log(`🔤 [${sourceId}] Lectura de placa en ${processingTime}ms: ${validPlates.length > 0 ? validPlates.join(', ') : 'sin placas válidas'}`);
+
+      return {
+        success: true,
+        provider: this.provider.name,
+        profile: profile.id,
+        plates,
+        parseStatus,
+        image: {
+          crop: image.crop,
+          originalBytes: imageBuffer.length,
+          sentBytes: image.buffer.length
+        },
+        processingTime,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      this._recordRead(processingTime, 'failure');
+      console.error(`❌ [${sourceId}] Error leyendo placa:`, error.message);
+
+      return {
+        success: false,
+        provider: this.provider.name,
+        profile: profile.id,
+        plates: [],
+        processingTime,
+        timestamp: new Date().toISOString(),
+        error: {
+          code: ERROR_CODES.PLATE_READ_FAILED,
+          // Tipo de error del proveedor (en Gemini: cuota, timeout, no disponible, respuesta inválida)
+          reason: error.code || null,
+          message: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Obtiene estadísticas de lectura
+   * @returns {Object} Configuración y contadores
+   */
+  getStats() {
+    return {
+      enabled: this.config.enabled,
+      minProbability: this.config.minProbability,
+      crop: this.config.crop.mode,
+      provider: this.provider.getStats(),
+      ...this.stats,
+      averageSentBytes: this.stats.requested > 0 ? Math.round(this.stats.sentBytes / this.stats.requested) : 0
+    };
+  }
+
+  // Métodos privados
+
+  /**
+   * Recorta la imagen según plateReading.crop antes de enviarla al proveedor
+   * Si el recorte falla se envía el frame completo
+   * @returns {Promise<{buffer: Buffer, crop: string}>}
+   */
+  async _prepareImage(imageBuffer, sourceId) {
+    const { mode, centerFraction, minWidth, quality } = this.config.crop;
+    let prepared = { buffer: imageBuffer, crop: CROP_MODES.FULL };
+
+    if (mode === CROP_MODES.CENTER) {
+      try {
+        const { width, height } = await sharp(imageBuffer).metadata();
+        const box = this._getCenterBox(width, height, centerFraction);
+
+        let pipeline = sharp(imageBuffer).extract(box);
+        if (box.width < minWidth) {
+          pipeline = pipeline.resize({ width: minWidth, kernel: 'lanczos3' });
+        }
+
+        prepared = {
+          buffer: await pipeline.jpeg({ quality }).toBuffer(),
+          crop: CROP_MODES.CENTER
+        };
+      } catch (error) {
+        console.warn(`⚠️ [${sourceId}] No se pudo recortar la imagen, se envía completa: ${error.message}`);
+      }
+    }
+
+    this.stats.originalBytes += imageBuffer.length;
+    this.stats.sentBytes += prepared.buffer.length;
+    return prepared;
+  }
+
+  _getCenterBox(width, height, fraction) {
+    const cropWidth = Math.max(1, Math.round(width * fraction));
+    const cropHeight = Math.max(1, Math.round(height * fraction));
+
+    return {
+      left: Math.floor((width - cropWidth) / 2),
+      top: Math.floor((height - cropHeight) / 2),
+      width: cropWidth,
+      height: cropHeight
+    };
+  }
+
+  _recordRead(processingTime, status) {
+    plateReadsTotal.inc({ status });
+    plateReadDuration.observe(processingTime / 1000);
+
+    if (status === 'failure') {
+      this.stats.failed++;
+      return;
+    }
+
+    this.stats.successful++;
+    if (status === 'success') {
+      this.stats.withPlates++;
+    }
+    this.stats.averageProcessingTime = Math.round(
+      ((this.stats.averageProcessingTime * (this.stats.successful - 1)) + processingTime) / this.stats.successful
+    );
+  }
+}
+
+// Instancia singleton compartida por los flujos Socket.IO y HTTP
+export const plateReadingService = new PlateReadingService();
+
+export default PlateReadingService;
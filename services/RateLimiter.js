@@ -0,0 +1,228 @@
+/**
+ * RateLimiter - Límite de solicitudes por cliente y nivel
+ * Ventana fija por identidad autenticada: las solicitudes HTTP y los frames
+ * de Socket.IO de un mismo cliente consumen el mismo cupo, de modo que las
+ * cámaras detrás de una misma IP (NAT) no se limitan entre sí. Un cupo
+ * generoso por IP y el de autenticaciones fallidas por IP y credencial
+ * protegen lo que llega antes de autenticar
+ */
+
+import { RATE_LIMIT_CONFIG, RATE_LIMIT_TIERS } from '../config/RateLimitConfig.js';
+import { IDENTITY_TYPES } from '../config/AuthConfig.js';
+import { ERROR_CODES } from '../socket/SocketEvents.js';
+import { accessControl } from './AccessControl.js';
+import { createCounter } from './MetricsService.js';
+
+const rateLimitedTotal = createCounter({
+  name: 'rate_limited_total',
+  help: 'Solicitudes rechazadas por límite de cupo por nivel y transporte',
+  labelNames: ['tier', 'transport']
+});
+
+export class RateLimiter {
+  constructor(config = RATE_LIMIT_CONFIG) {
+    this.config = config;
+
+    // clave → { count, resetAt }
+    this.windows = new Map();
+    this.cleanupInterval = null;
+
+    this.stats = {
+      allowed: 0,
+      limited: 0
+    };
+  }
+
+  /**
+   * Nivel de límite de una identidad
+   * Prioridad: nivel declarado (clients.json / claim "tier"), rol admin, tipo de identidad
+   * @param {Object} identity - Identidad de AuthService
+   * @returns {string} Nivel de RATE_LIMIT_TIERS
+   */
+  getTier(identity) {
+    if (identity.type === IDENTITY_TYPES.ANONYMOUS) {
+      return RATE_LIMIT_TIERS.ANONYMOUS;
+    }
+    if (identity.tier && this.config.tiers[identity.tier]) {
+      return identity.tier;
+    }
+    if (accessControl.getRoles(identity).includes('admin')) {
+      return RATE_LIMIT_TIERS.ADMIN;
+    }
+
+    return identity.type === IDENTITY_TYPES.CAMERA ? RATE_LIMIT_TIERS.CAMERA : RATE_LIMIT_TIERS.INTEGRATION;
+  }
+
+  /**
+   * Consume una unidad del cupo del cliente
+   * @param {Object} identity - Identidad de AuthService
+   * @param {Object} options - Opciones
+   * @param {string} options.address - IP del cliente (clave para anónimos)
+   * @param {string} options.transport - 'http' o 'socket' (métricas)
+   * @returns {Object} Cupo { allowed, tier, limit, remaining, resetAt, retryAfterMs }
+   */
+  consume(identity, options = {}) {
+    const { address = 'unknown', transport = 'http' } = options;
+
+    const tier = this.getTier(identity);
+    const key = tier === RATE_LIMIT_TIERS.ANONYMOUS ? `ip:${address}` : `id:${identity.id}`;
+    return this._consumeWindow(key, this.config.tiers[tier], tier, transport);
+  }
+
+  /**
+   * Consume una unidad del cupo de una IP (previo a la autenticación)
+   * @param {string} address - IP del cliente
+   * @param {Object} options - { transport } para métricas
+   * @returns {Object} Cupo con tier 'address'
+   */
+  consumeAddress(address, options = {}) {
+    const { transport = 'http' } = options;
+    return this._consumeWindow(`addr:${address}`, this.config.address, 'address', transport);
+  }
+
+  /**
+   * IP del cliente de un handshake de Socket.IO con la misma regla que req.ip de Express
+   * ("trust proxy" = trustProxyHops): se descartan tantas entradas de X-Forwarded-For como proxies de confianza
+   * @param {Object} handshake - socket.handshake
+   * @returns {string}
+   */
+  resolveSocketAddress(handshake) {
+    const forwarded = String(handshake.headers?.['x-forwarded-for'] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    const addresses = [handshake.address, ...forwarded.reverse()];
+
+    return addresses[Math.min(this.config.trustProxyHops, addresses.length - 1)];
+  }
+
+  /**
+   * Cupo de autenticaciones fallidas de una credencial desde una IP, sin consumirlo
+   * @param {string} address - IP del cliente
+   * @param {string} credentialKey - Huella de la credencial presentada (AuthService.getCredentialFingerprint)
+   * @returns {Object} Cupo con tier 'auth_failures'; allowed: false mientras esa credencial esté bloqueada en la IP
+   */
+  checkAuthFailures(address, credentialKey) {
+    const { windowMs, max } = this.config.authFailures;
+    const now = Date.now();
+    const window = this._getWindow(`auth:${address}:${credentialKey}`, windowMs, now);
+
+    return this._buildQuota(window, 'auth_failures', max, window.count < max, now);
+  }
+
+  /**
+   * Registra una autenticación fallida de una credencial desde una IP
+   * @param {string} address - IP del cliente
+   * @param {string} credentialKey - Huella de la credencial presentada
+   * @param {Object} options - { transport } para métricas
+   */
+  recordAuthFailure(address, credentialKey, options = {}) {
+    const { transport = 'http' } = options;
+    const window = this._getWindow(`auth:${address}:${credentialKey}`, this.config.authFailures.windowMs, Date.now());
+
+    window.count++;
+    if (window.count === this.config.authFailures.max) {
+      rateLimitedTotal.inc({ tier: 'auth_failures', transport });
+      console.warn(`🚫 Credencial ${credentialKey} bloqueada en ${address} por ${window.count} autenticaciones fallidas`);
+    }
+  }
+
+  /**
+   * Construye el error para un cupo agotado
+   * @param {Object} quota - Resultado de consume()
+   * @returns {Error} Error con code RATE_LIMITED y el cupo adjunto
+   */
+  createLimitError(quota) {
+    const error = new Error(`Rate limit exceeded for tier ${quota.tier}: ${quota.limit} requests per window`);
+    error.code = ERROR_CODES.RATE_LIMITED;
+    error.quota = quota;
+    return error;
+  }
+
+  /**
+   * Obtiene estadísticas del limitador
+   * @returns {Object} Niveles configurados y contadores
+   */
+  getStats() {
+    return {
+      tiers: this.config.tiers,
+      address: this.config.address,
+      authFailures: this.config.authFailures,
+      trackedClients: this.windows.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Detiene la limpieza periódica
+   */
+  dispose() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+
+  // Métodos privados
+
+  _consumeWindow(key, { windowMs, max }, tier, transport) {
+    const now = Date.now();
+    const window = this._getWindow(key, windowMs, now);
+
+    const allowed = window.count < max;
+    if (allowed) {
+      window.count++;
+      this.stats.allowed++;
+    } else {
+      this.stats.limited++;
+      rateLimitedTotal.inc({ tier, transport });
+    }
+
+    return this._buildQuota(window, tier, max, allowed, now);
+  }
+
+  _getWindow(key, windowMs, now) {
+    this._ensureCleanup();
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    return window;
+  }
+
+  _buildQuota(window, tier, max, allowed, now) {
+    return {
+      allowed,
+      tier,
+      limit: max,
+      remaining: Math.max(0, max - window.count),
+      resetAt: new Date(window.resetAt).toISOString(),
+      retryAfterMs: allowed ? 0 : window.resetAt - now
+    };
+  }
+
+  _ensureCleanup() {
+    if (this.cleanupInterval) {
+      return;
+    }
+
+    this.cleanupInterval = setInterval(() => this._removeExpiredWindows(), this.config.cleanupIntervalMs);
+    this.cleanupInterval.unref();
+  }
+
+  _removeExpiredWindows() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+}
+
+// Instancia singleton: un único cupo por cliente para HTTP y Socket.IO
+export const rateLimiter = new RateLimiter();
+
+export default RateLimiter;
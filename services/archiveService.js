@@ -0,0 +1,157 @@
+import AdmZip from "adm-zip";
+import { extname, basename } from "path";
+import { inflateRawSync } from "zlib";
+import { IMAGE_CONFIG } from "../socket/SocketEvents.js";
+
+// Extensiones de imagen aceptadas dentro de un ZIP y su MIME equivalente
+const MIME_BY_EXTENSION = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+};
+
+// Métodos de compresión ZIP soportados
+const ZIP_METHODS = {
+  STORED: 0,
+  DEFLATED: 8,
+};
+
+// Relación máxima que permite deflate (~1032:1); un tamaño declarado mayor es falso
+const MAX_DEFLATE_RATIO = 1032;
+
+export const ZIP_MIME_TYPES = [
+  "application/zip",
+  "application/x-zip-compressed",
+];
+
+/**
+ * Indica si un archivo subido es un ZIP (por MIME o extensión)
+ * @param {string} mimetype - MIME reportado por el cliente
+ * @param {string} filename - Nombre original del archivo
+ * @returns {boolean}
+ */
+export function isZipUpload(mimetype, filename = "") {
+  return (
+    ZIP_MIME_TYPES.includes(mimetype) ||
+    extname(filename).toLowerCase() === ".zip"
+  );
+}
+
+/**
+ * Extrae las imágenes de un archivo ZIP
+ * Ignora directorios, archivos ocultos y metadatos de macOS
+ * @param {Buffer} buffer - Contenido del ZIP
+ * @returns {Array<{filename: string, data: Buffer, format: string, size: number}>}
+ */
+export function extractImagesFromZip(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: ${error.message}`);
+  }
+
+  const images = [];
+  let totalSize = 0;
+
+  for (const entry of entries) {
+    const name = entry.entryName;
+    const format = MIME_BY_EXTENSION[extname(name).toLowerCase()];
+
+    if (
+      entry.isDirectory ||
+      !format ||
+      name.startsWith("__MACOSX/") ||
+      basename(name).startsWith(".")
+    ) {
+      continue;
+    }
+
+    if (images.length >= IMAGE_CONFIG.BATCH.MAX_FILES) {
+      throw new Error(
+        `ZIP archive too large: more than ${IMAGE_CONFIG.BATCH.MAX_FILES} images`
+      );
+    }
+
+    // Verificar tamaño declarado antes de descomprimir (evita ZIP bombs)
+    const declaredSize = entry.header.size;
+    assertPlausibleEntry(entry, declaredSize);
+
+    totalSize += declaredSize;
+    if (totalSize > IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE) {
+      throw new Error(
+        `ZIP archive too large: uncompressed size exceeds ${IMAGE_CONFIG.BATCH.MAX_TOTAL_SIZE} bytes`
+      );
+    }
+
+    // Las imágenes que exceden MAX_SIZE no se descomprimen; la validación
+    // del ImageHandler las rechaza por tamaño
+    images.push({
+      filename: name,
+      data:
+        declaredSize > IMAGE_CONFIG.MAX_SIZE
+          ? Buffer.alloc(0)
+          : inflateEntry(entry, declaredSize),
+      format,
+      size: declaredSize,
+    });
+  }
+
+  return images;
+}
+
+/**
+ * Rechaza entradas cifradas, con método desconocido o cuyo tamaño declarado
+ * no es coherente con el comprimido (0 o mayor de lo que deflate puede producir)
+ */
+function assertPlausibleEntry(entry, declaredSize) {
+  const { method, compressedSize, encrypted } = entry.header;
+  const name = entry.entryName;
+
+  if (encrypted) {
+    throw new Error(`Invalid ZIP archive: entry "${name}" is encrypted`);
+  }
+  if (method !== ZIP_METHODS.STORED && method !== ZIP_METHODS.DEFLATED) {
+    throw new Error(`Invalid ZIP archive: entry "${name}" uses unsupported compression method ${method}`);
+  }
+
+  const plausible =
+    declaredSize > 0 &&
+    (method === ZIP_METHODS.STORED
+      ? declaredSize === compressedSize
+      : declaredSize <= compressedSize * MAX_DEFLATE_RATIO);
+
+  if (!plausible) {
+    throw new Error(
+      `Invalid ZIP archive: entry "${name}" declares ${declaredSize} bytes for ${compressedSize} compressed bytes`
+    );
+  }
+}
+
+/**
+ * Descomprime una entrada con un límite de salida igual a su tamaño declarado
+ * (no se usa entry.getData(): adm-zip no limita la salida si el tamaño declarado es 0)
+ * @returns {Buffer} Contenido de la entrada
+ */
+function inflateEntry(entry, declaredSize) {
+  const compressed = entry.getCompressedData();
+  let data;
+
+  try {
+    data =
+      entry.header.method === ZIP_METHODS.STORED
+        ? compressed
+        : inflateRawSync(compressed, { maxOutputLength: declaredSize });
+  } catch (error) {
+    throw new Error(`Invalid ZIP archive: entry "${entry.entryName}" could not be inflated within its declared size (${error.message})`);
+  }
+
+  if (data.length !== declaredSize) {
+    throw new Error(
+      `Invalid ZIP archive: entry "${entry.entryName}" inflated to ${data.length} bytes but declares ${declaredSize}`
+    );
+  }
+
+  return data;
+}
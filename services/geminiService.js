@@ -1,14 +1,98 @@
 import "dotenv/config";
 import { env } from "process";
+import { DetectionConfig } from "../config/DetectionConfig.js";
+import {
+  createCounter,
+  createGauge,
+  createHistogram,
+  LATENCY_BUCKETS,
+} from "./MetricsService.js";
+import { geminiReplyCache } from "./GeminiReplyCache.js";
+import { geminiUsageTracker } from "./GeminiUsageTracker.js";
+import { plateProfiles } from "./PlateProfiles.js";
+
+// Reintentos, timeouts, backoff y modelos (sección gemini de DetectionConfig)
+const GEMINI_CONFIG = DetectionConfig.DEFAULT_CONFIG.gemini;
+const MAX_BACKOFF_MS = 30000;
 
 // Configuración de API keys y versiones
-const API_KEYS = [env.API_KEY, env.API_KEY2, env.API_KEY3, env.API_KEY4];
+// Las variables no definidas se descartan; el label conserva el número de la variable (API_KEY2 → "2")
+const API_KEYS = [env.API_KEY, env.API_KEY2, env.API_KEY3, env.API_KEY4]
+  .map((key, index) => ({ key, label: String(index + 1) }))
+  .filter(({ key }) => Boolean(key));
+
+// Versiones del modelo en rotación (gemini.versions, env GEMINI_VERSIONS)
+const VERSIONS = GEMINI_CONFIG.versions;
+
+// Endpoints en orden de rotación: primero se alternan las versiones, luego la key
+const ENDPOINTS = API_KEYS.flatMap(({ key, label }) =>
+  VERSIONS.map((version) => ({ key, label, version, id: `${label}:${version}` }))
+);
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Tipos de error de Gemini (error.code)
+export const GEMINI_ERROR_CODES = {
+  QUOTA_EXCEEDED: "GEMINI_QUOTA_EXCEEDED", // 429: cuota de la key/versión agotada
+  TIMEOUT: "GEMINI_TIMEOUT", // Sin respuesta dentro de gemini.timeoutMs
+  UNAVAILABLE: "GEMINI_UNAVAILABLE", // 5xx o fallo de red
+  BAD_RESPONSE: "GEMINI_BAD_RESPONSE", // 4xx o cuerpo sin el formato esperado
+  KEY_REJECTED: "GEMINI_KEY_REJECTED", // 401/403: key inválida, revocada o sin permisos
+  CIRCUIT_OPEN: "GEMINI_CIRCUIT_OPEN", // Circuit breaker abierto: se rechaza sin llamar a Gemini
+  BUDGET_EXHAUSTED: "GEMINI_BUDGET_EXHAUSTED", // Presupuesto diario agotado (gemini.usage.budgets)
+  QUEUE_FULL: "GEMINI_QUEUE_FULL", // Cola llena (gemini.queue.maxLength)
+  QUEUE_TIMEOUT: "GEMINI_QUEUE_TIMEOUT", // Superó su espera máxima en cola (gemini.queue.timeoutsMs)
+};
+
+// Prioridades de la cola, de mayor a menor (options.priority de getGeminiReply)
+export const GEMINI_PRIORITIES = {
+  HIGH: "high", // Tiempo real: lecturas de entrada de vehículos
+  NORMAL: "normal", // Peticiones HTTP interactivas
+  LOW: "low", // Reprocesamiento en lote y etiquetado automático
+};
+const PRIORITY_ORDER = [GEMINI_PRIORITIES.HIGH, GEMINI_PRIORITIES.NORMAL, GEMINI_PRIORITIES.LOW];
+const QUEUE_CONFIG = GEMINI_CONFIG.queue;
+
+// Estados del circuit breaker
+export const CIRCUIT_STATES = {
+  CLOSED: "closed", // Peticiones normales
+  OPEN: "open", // Falla rápido hasta que pase circuitBreaker.openDurationMs
+  HALF_OPEN: "half_open", // Deja pasar peticiones de prueba para decidir si cerrar
+};
 
-const VERSIONS = ["2.0", "2.5"];
+// Errores que indican que el proveedor no está respondiendo (cuentan como fallo del circuito)
+const CIRCUIT_FAILURE_CODES = [
+  GEMINI_ERROR_CODES.TIMEOUT,
+  GEMINI_ERROR_CODES.UNAVAILABLE,
+  GEMINI_ERROR_CODES.QUOTA_EXCEEDED,
+  GEMINI_ERROR_CODES.KEY_REJECTED,
+];
+const CIRCUIT_CONFIG = GEMINI_CONFIG.circuitBreaker;
 
 // Estado de rotación
-let currentKeyIndex = 0;
-let currentVersionIndex = 0;
+let rotationIndex = 0;
+
+// Salud por endpoint (key + versión): id → { requests, successes, failures, consecutiveFailures, lastError, quarantinedUntil }
+const endpointHealth = new Map(
+  ENDPOINTS.map(({ id }) => [
+    id,
+    { requests: 0, successes: 0, failures: 0, consecutiveFailures: 0, lastError: null, quarantinedUntil: 0 },
+  ])
+);
+
+// Estado del circuit breaker; `generation` cambia en cada transición para
+// descartar resultados de peticiones iniciadas en un estado anterior
+const circuit = {
+  state: CIRCUIT_STATES.CLOSED,
+  generation: 0,
+  outcomes: [], // Últimos resultados en estado cerrado (true = Gemini respondió)
+  openUntil: 0,
+  halfOpenInFlight: 0,
+  lastTransitionAt: null,
+  timesOpened: 0,
+  rejectedRequests: 0,
+};
+const circuitListeners = new Set();
 
 // Contador de peticiones para estadísticas
 let requestCount = 0;
@@ -16,13 +100,103 @@ let requestCount = 0;
 // Pool de workers para procesamiento concurrente
 const MAX_CONCURRENT_REQUESTS = 20; // Máximo de peticiones concurrentes
 let activeRequests = 0;
-const requestQueue = [];
+// Una cola FIFO por prioridad: prioridad → [{ resolve, reject, buffer, options, permit, enqueuedAt, timer }]
+const requestQueues = Object.fromEntries(PRIORITY_ORDER.map((priority) => [priority, []]));
+const queueRejections = { full: 0, timeout: 0 };
+const queueWaits = Object.fromEntries(PRIORITY_ORDER.map((priority) => [priority, { count: 0, totalMs: 0 }]));
 
 // Métricas de rendimiento
 let processingTimes = [];
+let requestSizes = []; // Bytes del cuerpo de las últimas 100 peticiones
+let bytesSent = 0; // Total enviado, incluyendo reintentos
 let successfulRequests = 0;
 let failedRequests = 0;
 
+// Métricas Prometheus
+const geminiRequestsTotal = createCounter({
+  name: "gemini_requests_total",
+  help: "Peticiones a Gemini por resultado",
+  labelNames: ["status"],
+});
+const geminiRequestDuration = createHistogram({
+  name: "gemini_request_duration_seconds",
+  help: "Latencia de las peticiones a Gemini",
+  buckets: LATENCY_BUCKETS,
+});
+const geminiQueueWait = createHistogram({
+  name: "gemini_queue_wait_seconds",
+  help: "Tiempo de espera en la cola de Gemini por prioridad",
+  labelNames: ["priority"],
+  buckets: LATENCY_BUCKETS,
+});
+const geminiQueueRejectedTotal = createCounter({
+  name: "gemini_queue_rejected_total",
+  help: "Peticiones rechazadas por la cola de Gemini por prioridad y motivo (full, timeout)",
+  labelNames: ["priority", "reason"],
+});
+const geminiRequestBytes = createHistogram({
+  name: "gemini_request_bytes",
+  help: "Tamaño del cuerpo enviado a Gemini por petición (imagen en base64 + prompt)",
+  buckets: [16384, 65536, 131072, 262144, 524288, 1048576, 2097152, 4194304],
+});
+const geminiEndpointUsageTotal = createCounter({
+  name: "gemini_endpoint_usage_total",
+  help: "Peticiones enviadas por API key y versión de modelo (rotación)",
+  labelNames: ["key", "version"],
+});
+const geminiErrorsTotal = createCounter({
+  name: "gemini_errors_total",
+  help: "Errores de peticiones individuales a Gemini por tipo",
+  labelNames: ["code"],
+});
+const geminiRetriesTotal = createCounter({
+  name: "gemini_retries_total",
+  help: "Reintentos de peticiones a Gemini por tipo de error",
+  labelNames: ["code"],
+});
+createGauge({
+  name: "gemini_endpoint_quarantined",
+  help: "Endpoints de Gemini en cuarentena (1) por API key y versión",
+  labelNames: ["key", "version"],
+  collect() {
+    const now = Date.now();
+    for (const { id, label, version } of ENDPOINTS) {
+      this.set({ key: label, version }, endpointHealth.get(id).quarantinedUntil > now ? 1 : 0);
+    }
+  },
+});
+const geminiCircuitTransitionsTotal = createCounter({
+  name: "gemini_circuit_transitions_total",
+  help: "Transiciones del circuit breaker de Gemini por estado destino",
+  labelNames: ["state"],
+});
+const geminiCircuitRejectedTotal = createCounter({
+  name: "gemini_circuit_rejected_total",
+  help: "Peticiones a Gemini rechazadas por el circuit breaker",
+});
+createGauge({
+  name: "gemini_circuit_state",
+  help: "Estado del circuit breaker de Gemini (0 cerrado, 1 semiabierto, 2 abierto)",
+  collect() {
+    const values = { [CIRCUIT_STATES.CLOSED]: 0, [CIRCUIT_STATES.HALF_OPEN]: 1, [CIRCUIT_STATES.OPEN]: 2 };
+    this.set(values[refreshCircuit()]);
+  },
+});
+createGauge({
+  name: "gemini_active_requests",
+  help: "Peticiones a Gemini en curso",
+  collect() {
+    this.set(activeRequests);
+  },
+});
+createGauge({
+  name: "gemini_queued_requests",
+  help: "Peticiones a Gemini esperando en la cola",
+  collect() {
+    this.set(getQueueLength());
+  },
+});
+
 // Función para obtener estadísticas
 export function getRotationStats() {
   const avgProcessingTime =
@@ -30,33 +204,138 @@ export function getRotationStats() {
       ? processingTimes.reduce((a, b) => a + b, 0) / processingTimes.length
       : 0;
 
+  const nextEndpoint = ENDPOINTS[rotationIndex];
+
   return {
     totalRequests: requestCount,
     successfulRequests,
     failedRequests,
     activeRequests,
-    queuedRequests: requestQueue.length,
+    queuedRequests: getQueueLength(),
+    queue: {
+      maxLength: QUEUE_CONFIG.maxLength,
+      byPriority: Object.fromEntries(PRIORITY_ORDER.map((priority) => [priority, requestQueues[priority].length])),
+      avgWaitMs: Object.fromEntries(
+        PRIORITY_ORDER.map((priority) => {
+          const { count, totalMs } = queueWaits[priority];
+          return [priority, count > 0 ? Math.round(totalMs / count) : 0];
+        })
+      ),
+      rejected: { ...queueRejections },
+    },
     avgProcessingTime: Math.round(avgProcessingTime),
-    currentKeyIndex: currentKeyIndex + 1,
-    currentVersionIndex: currentVersionIndex,
-    currentVersion: VERSIONS[currentVersionIndex],
+    bytesSent,
+    lastRequestBytes: requestSizes.length > 0 ? requestSizes[requestSizes.length - 1] : 0,
+    avgRequestBytes:
+      requestSizes.length > 0 ? Math.round(requestSizes.reduce((a, b) => a + b, 0) / requestSizes.length) : 0,
+    currentKeyIndex: nextEndpoint ? Number(nextEndpoint.label) : null,
+    currentVersionIndex: nextEndpoint ? VERSIONS.indexOf(nextEndpoint.version) : null,
+    currentVersion: nextEndpoint?.version ?? null,
     totalKeys: API_KEYS.length,
     totalVersions: VERSIONS.length,
-    maxRequestsPerMinute: API_KEYS.length * VERSIONS.length * 15, // 4 keys x 2 versions x 15 req/min
+    availableEndpoints: ENDPOINTS.filter(({ id }) => isEndpointUsable(id)).length,
+    maxRequestsPerMinute: API_KEYS.length * VERSIONS.length * 15, // keys x versiones x 15 req/min
     maxConcurrentRequests: MAX_CONCURRENT_REQUESTS,
+    maxRetries: GEMINI_CONFIG.maxRetries,
+    timeoutMs: GEMINI_CONFIG.timeoutMs,
+    endpoints: ENDPOINTS.map(getEndpointStats),
+    circuit: getCircuitStats(),
+    cache: geminiReplyCache.getStats(),
+    usage: geminiUsageTracker.getStats(),
+  };
+}
+
+/**
+ * Estado del circuit breaker
+ * @returns {Object} { state, failureRate, windowRequests, retryAfterMs, timesOpened, rejectedRequests, ... }
+ */
+export function getCircuitStats() {
+  const state = refreshCircuit();
+  const failures = circuit.outcomes.filter((responded) => !responded).length;
+
+  return {
+    state,
+    failureRate: circuit.outcomes.length > 0 ? Number((failures / circuit.outcomes.length).toFixed(3)) : 0,
+    windowRequests: circuit.outcomes.length,
+    failureRateThreshold: CIRCUIT_CONFIG.failureRateThreshold,
+    minRequests: CIRCUIT_CONFIG.minRequests,
+    openDurationMs: CIRCUIT_CONFIG.openDurationMs,
+    retryAfterMs: state === CIRCUIT_STATES.OPEN ? circuit.openUntil - Date.now() : 0,
+    lastTransitionAt: circuit.lastTransitionAt,
+    timesOpened: circuit.timesOpened,
+    rejectedRequests: circuit.rejectedRequests,
   };
 }
 
-// Función para procesar cola de peticiones
+/**
+ * Indica si una petición nueva pasaría el presupuesto diario y el circuit breaker
+ * (cerrado, o semiabierto con cupo para otra petición de prueba)
+ * @returns {boolean}
+ */
+export function isGeminiAvailable() {
+  const withinBudget =
+    !geminiUsageTracker.isBudgetExhausted() &&
+    ENDPOINTS.some(({ id }) => !geminiUsageTracker.isEndpointExhausted(id));
+  if (!withinBudget) {
+    return false;
+  }
+
+  const state = refreshCircuit();
+  return (
+    state === CIRCUIT_STATES.CLOSED ||
+    (state === CIRCUIT_STATES.HALF_OPEN && circuit.halfOpenInFlight < CIRCUIT_CONFIG.halfOpenMaxRequests)
+  );
+}
+
+/**
+ * Suscribe un listener a los cambios de estado del circuit breaker
+ * @param {Function} listener - (stats) => void, recibe getCircuitStats()
+ * @returns {Function} Función para cancelar la suscripción
+ */
+export function onCircuitStateChange(listener) {
+  circuitListeners.add(listener);
+  return () => circuitListeners.delete(listener);
+}
+
+/**
+ * Estado de salud de un endpoint para getRotationStats
+ * @param {Object} endpoint - Elemento de ENDPOINTS
+ * @returns {Object} { key, version, requests, successes, failures, successRate, lastError, quarantined, quarantinedUntil, cooldownRemainingMs, today, budgetExhausted }
+ */
+function getEndpointStats({ id, label, version }) {
+  const health = endpointHealth.get(id);
+  const cooldownRemainingMs = Math.max(0, health.quarantinedUntil - Date.now());
+
+  return {
+    key: label,
+    version,
+    requests: health.requests,
+    successes: health.successes,
+    failures: health.failures,
+    consecutiveFailures: health.consecutiveFailures,
+    successRate: health.requests > 0 ? Number((health.successes / health.requests).toFixed(3)) : null,
+    lastError: health.lastError,
+    quarantined: cooldownRemainingMs > 0,
+    quarantinedUntil: cooldownRemainingMs > 0 ? new Date(health.quarantinedUntil).toISOString() : null,
+    cooldownRemainingMs,
+    today: geminiUsageTracker.getEndpointUsage(id),
+    budgetExhausted: geminiUsageTracker.isEndpointExhausted(id),
+  };
+}
+
+// Función para procesar cola de peticiones (siempre la de mayor prioridad con elementos)
 function processQueue() {
-  if (requestQueue.length === 0 || activeRequests >= MAX_CONCURRENT_REQUESTS) {
+  const priority = PRIORITY_ORDER.find((level) => requestQueues[level].length > 0);
+  if (!priority || activeRequests >= MAX_CONCURRENT_REQUESTS) {
     return;
   }
 
-  const { resolve, reject, buffer, options } = requestQueue.shift();
+  const { resolve, reject, buffer, options, permit, enqueuedAt, timer } = requestQueues[priority].shift();
+  clearTimeout(timer);
+  recordQueueWait(priority, Date.now() - enqueuedAt);
   activeRequests++;
 
-  executeGeminiRequest(buffer, options)
+  executeGeminiRequest(buffer, options, permit)
     .then(resolve)
     .catch(reject)
     .finally(() => {
@@ -66,62 +345,285 @@ function processQueue() {
 }
 
 // Función interna para ejecutar petición a Gemini
-async function executeGeminiRequest(buffer, options = {}) {
+async function executeGeminiRequest(buffer, options, permit) {
   const startTime = Date.now();
 
   try {
     const result = await getGeminiReplyInternal(buffer, options);
+    recordCircuitResult(permit, true);
 
     // Métricas
     const processingTime = Date.now() - startTime;
     processingTimes.push(processingTime);
     if (processingTimes.length > 100) processingTimes.shift(); // Mantener solo últimas 100
     successfulRequests++;
+    geminiRequestsTotal.inc({ status: "success" });
+    geminiRequestDuration.observe(processingTime / 1000);
 
     return result;
   } catch (error) {
     failedRequests++;
+    geminiRequestsTotal.inc({ status: "failure" });
+    recordCircuitResult(permit, !CIRCUIT_FAILURE_CODES.includes(error.code));
     throw error;
   }
 }
 
-// Función para obtener el próximo endpoint
+/**
+ * Pasa el estado abierto a semiabierto cuando termina openDurationMs
+ * @returns {string} Estado actual (CIRCUIT_STATES)
+ */
+function refreshCircuit() {
+  if (circuit.state === CIRCUIT_STATES.OPEN && Date.now() >= circuit.openUntil) {
+    transitionCircuit(CIRCUIT_STATES.HALF_OPEN);
+  }
+  return circuit.state;
+}
+
+/**
+ * Obtiene permiso del circuit breaker para una petición nueva
+ * @returns {Object} Permiso { generation, probe } para recordCircuitResult
+ * @throws {Error} CIRCUIT_OPEN si el circuito está abierto o sin cupo de prueba
+ */
+function acquireCircuit() {
+  const state = refreshCircuit();
+
+  if (state === CIRCUIT_STATES.CLOSED) {
+    return { generation: circuit.generation, probe: false };
+  }
+  if (state === CIRCUIT_STATES.HALF_OPEN && circuit.halfOpenInFlight < CIRCUIT_CONFIG.halfOpenMaxRequests) {
+    circuit.halfOpenInFlight++;
+    return { generation: circuit.generation, probe: true };
+  }
+
+  circuit.rejectedRequests++;
+  geminiCircuitRejectedTotal.inc();
+  throw createCircuitOpenError();
+}
+
+/**
+ * Registra el resultado de una petición en el circuit breaker
+ * @param {Object} permit - Permiso de acquireCircuit
+ * @param {boolean} responded - false si el error indica que Gemini no está respondiendo
+ */
+function recordCircuitResult(permit, responded) {
+  // Resultado de una petición iniciada antes de la última transición
+  if (permit.generation !== circuit.generation) {
+    return;
+  }
+
+  if (permit.probe) {
+    circuit.halfOpenInFlight--;
+    transitionCircuit(responded ? CIRCUIT_STATES.CLOSED : CIRCUIT_STATES.OPEN);
+    return;
+  }
+
+  circuit.outcomes.push(responded);
+  if (circuit.outcomes.length > CIRCUIT_CONFIG.windowSize) {
+    circuit.outcomes.shift();
+  }
+
+  const failures = circuit.outcomes.filter((value) => !value).length;
+  if (
+    circuit.outcomes.length >= CIRCUIT_CONFIG.minRequests &&
+    failures / circuit.outcomes.length >= CIRCUIT_CONFIG.failureRateThreshold
+  ) {
+    transitionCircuit(CIRCUIT_STATES.OPEN);
+  }
+}
+
+/**
+ * Devuelve el cupo de prueba de una petición que no llegó a ejecutarse
+ * @param {Object} permit - Permiso de acquireCircuit
+ */
+function releaseCircuit(permit) {
+  if (permit.probe && permit.generation === circuit.generation) {
+    circuit.halfOpenInFlight--;
+  }
+}
+
+function transitionCircuit(state) {
+  circuit.state = state;
+  circuit.generation++;
+  circuit.outcomes = [];
+  circuit.halfOpenInFlight = 0;
+  circuit.lastTransitionAt = new Date().toISOString();
+  geminiCircuitTransitionsTotal.inc({ state });
+
+  if (state === CIRCUIT_STATES.OPEN) {
+    circuit.openUntil = Date.now() + CIRCUIT_CONFIG.openDurationMs;
+    circuit.timesOpened++;
+    console.warn(`⛔ Circuit breaker de Gemini abierto por ${CIRCUIT_CONFIG.openDurationMs}ms`);
+
+    // Las peticiones en cola fallan de inmediato en lugar de esperar a un proveedor caído
+    const error = createCircuitOpenError();
+    for (const priority of PRIORITY_ORDER) {
+      for (const { reject, timer } of requestQueues[priority].splice(0)) {
+        clearTimeout(timer);
+        circuit.rejectedRequests++;
+        geminiCircuitRejectedTotal.inc();
+        reject(error);
+      }
+    }
+  } else {
+    console.log(
+      state === CIRCUIT_STATES.CLOSED
+        ? "✅ Circuit breaker de Gemini cerrado"
+        : "🔎 Circuit breaker de Gemini semiabierto: enviando petición de prueba"
+    );
+  }
+
+  const stats = getCircuitStats();
+  for (const listener of circuitListeners) {
+    listener(stats);
+  }
+}
+
+function createCircuitOpenError() {
+  const retryAfterMs = Math.max(0, circuit.openUntil - Date.now());
+  return createGeminiError(
+    GEMINI_ERROR_CODES.CIRCUIT_OPEN,
+    `Gemini no disponible: circuit breaker ${circuit.state} (reintentar en ${retryAfterMs}ms)`,
+    { retryAfterMs }
+  );
+}
+
+/**
+ * Obtiene el próximo endpoint de la rotación, saltando los que están en cuarentena
+ * o agotaron su presupuesto diario
+ * @returns {Object} Elemento de ENDPOINTS con su `url`
+ * @throws {Error} UNAVAILABLE si no hay keys configuradas, QUOTA_EXCEEDED si todas están en cuarentena,
+ *   BUDGET_EXHAUSTED si todas agotaron su presupuesto
+ */
 function getNextEndpoint() {
-  const currentKey = API_KEYS[currentKeyIndex];
-  const currentVersion = VERSIONS[currentVersionIndex];
+  if (ENDPOINTS.length === 0) {
+    throw createGeminiError(GEMINI_ERROR_CODES.UNAVAILABLE, "No hay API keys de Gemini configuradas (API_KEY..API_KEY4)");
+  }
+
+  for (let offset = 0; offset < ENDPOINTS.length; offset++) {
+    const index = (rotationIndex + offset) % ENDPOINTS.length;
+    const endpoint = ENDPOINTS[index];
+    if (!isEndpointUsable(endpoint.id)) {
+      continue;
+    }
+
+    rotationIndex = (index + 1) % ENDPOINTS.length;
+    endpointHealth.get(endpoint.id).requests++;
 
-  const endpoint = `${env.URI_BASE}${currentVersion}-flash:generateContent?key=${currentKey}`;
+    console.log(`🔑 Usando API Key ${endpoint.label} con versión ${endpoint.version}`);
+    geminiEndpointUsageTotal.inc({ key: endpoint.label, version: endpoint.version });
 
-  console.log(
-    `🔑 Usando API Key ${currentKeyIndex + 1} con versión ${currentVersion}`
+    return {
+      ...endpoint,
+      url: `${env.URI_BASE}${endpoint.version}${GEMINI_CONFIG.modelSuffix}:generateContent?key=${endpoint.key}`,
+    };
+  }
+
+  // Sin presupuesto no hay nada que esperar hasta el día siguiente
+  const waiting = ENDPOINTS.filter(({ id }) => !geminiUsageTracker.isEndpointExhausted(id));
+  if (waiting.length === 0) {
+    throw createGeminiError(
+      GEMINI_ERROR_CODES.BUDGET_EXHAUSTED,
+      "Todas las API keys de Gemini agotaron su presupuesto diario"
+    );
+  }
+
+  // Las demás en cuarentena: se reintenta solo si la primera vuelve dentro del backoff máximo
+  const retryAfterMs = Math.min(...waiting.map(({ id }) => endpointHealth.get(id).quarantinedUntil)) - Date.now();
+  throw createGeminiError(
+    GEMINI_ERROR_CODES.QUOTA_EXCEEDED,
+    `Todas las API keys de Gemini están en cuarentena (próxima disponible en ${retryAfterMs}ms)`,
+    { retryable: retryAfterMs <= MAX_BACKOFF_MS, retryAfterMs }
   );
+}
+
+function isQuarantined(id) {
+  return endpointHealth.get(id).quarantinedUntil > Date.now();
+}
+
+function isEndpointUsable(id) {
+  return !isQuarantined(id) && !geminiUsageTracker.isEndpointExhausted(id);
+}
+
+/**
+ * Registra el resultado de un intento en la salud del endpoint
+ * 429 pone en cuarentena la key con esa versión (Retry-After o gemini.keyCooldownMs);
+ * 401/403 pone en cuarentena la key en todas sus versiones (gemini.rejectedKeyCooldownMs)
+ * @param {Object} endpoint - Endpoint devuelto por getNextEndpoint
+ * @param {Error|null} error - Error del intento o null si tuvo éxito
+ */
+function recordEndpointResult(endpoint, error = null) {
+  const health = endpointHealth.get(endpoint.id);
+
+  if (!error) {
+    health.successes++;
+    health.consecutiveFailures = 0;
+    return;
+  }
 
-  // Rotar versión
-  currentVersionIndex = (currentVersionIndex + 1) % VERSIONS.length;
+  health.failures++;
+  health.consecutiveFailures++;
+  health.lastError = {
+    code: error.code,
+    status: error.status,
+    message: error.message,
+    timestamp: new Date().toISOString(),
+  };
 
-  // Si completamos el ciclo de versiones, rotar API key
-  if (currentVersionIndex === 0) {
-    currentKeyIndex = (currentKeyIndex + 1) % API_KEYS.length;
+  if (error.code === GEMINI_ERROR_CODES.QUOTA_EXCEEDED) {
+    quarantine([endpoint], error.retryAfterMs || GEMINI_CONFIG.keyCooldownMs, error.code);
+  } else if (error.code === GEMINI_ERROR_CODES.KEY_REJECTED) {
+    quarantine(
+      ENDPOINTS.filter(({ label }) => label === endpoint.label),
+      GEMINI_CONFIG.rejectedKeyCooldownMs,
+      error.code
+    );
   }
+}
+
+function quarantine(endpoints, cooldownMs, reason) {
+  const until = Date.now() + cooldownMs;
 
-  return endpoint;
+  for (const { id, label, version } of endpoints) {
+    const health = endpointHealth.get(id);
+    health.quarantinedUntil = Math.max(health.quarantinedUntil, until);
+    console.warn(`🚫 API Key ${label} (versión ${version}) en cuarentena ${cooldownMs}ms por ${reason}`);
+  }
 }
 
 /**
- * Función pública para procesar imagen con cola concurrente
+ * Función pública para procesar imagen con cache y cola concurrente
+ * Los frames casi idénticos a uno leído recientemente reutilizan su respuesta (GeminiReplyCache)
  * @param {Buffer} buffer - Buffer de la imagen a analizar
  * @param {Object} options - Opciones de configuración
+ * @param {string} [options.prompt] - Prompt personalizado
+ * @param {string} [options.priority] - GEMINI_PRIORITIES (por defecto normal)
+ * @param {number} [options.queueTimeoutMs] - Espera máxima en cola (por defecto gemini.queue.timeoutsMs)
  * @returns {Promise<string>}
+ * @throws {Error} Con code GEMINI_CIRCUIT_OPEN si el circuit breaker rechaza la petición,
+ *   GEMINI_QUEUE_FULL o GEMINI_QUEUE_TIMEOUT si no obtiene turno en la cola
  */
-export const getGeminiReply = async (buffer, options = {}) => {
+export const getGeminiReply = async (buffer, options = {}) =>
+  geminiReplyCache.getOrLoad(buffer, options.prompt, () => enqueueGeminiRequest(buffer, options));
+
+// Función para ejecutar o encolar una petición real a Gemini
+async function enqueueGeminiRequest(buffer, options) {
+  if (geminiUsageTracker.isBudgetExhausted()) {
+    throw createGeminiError(GEMINI_ERROR_CODES.BUDGET_EXHAUSTED, "Presupuesto diario de Gemini agotado");
+  }
+
+  // Con el circuito abierto se falla rápido sin pasar por la cola
+  const permit = acquireCircuit();
+  const priority = PRIORITY_ORDER.includes(options.priority) ? options.priority : GEMINI_PRIORITIES.NORMAL;
   requestCount++;
 
   // Si podemos procesar inmediatamente, hacerlo
-  if (activeRequests < MAX_CONCURRENT_REQUESTS) {
+  if (activeRequests < MAX_CONCURRENT_REQUESTS && getQueueLength() === 0) {
     activeRequests++;
+    recordQueueWait(priority, 0);
 
     try {
-      const result = await executeGeminiRequest(buffer, options);
+      const result = await executeGeminiRequest(buffer, options, permit);
       return result;
     } finally {
       activeRequests--;
@@ -129,28 +631,140 @@ export const getGeminiReply = async (buffer, options = {}) => {
     }
   }
 
-  // Si no, agregar a la cola
+  // Si no, agregar a la cola de su prioridad
+  if (getQueueLength() >= QUEUE_CONFIG.maxLength && !evictLowerPriority(priority)) {
+    releaseCircuit(permit);
+    rejectFromQueue(priority, "full");
+    throw createGeminiError(
+      GEMINI_ERROR_CODES.QUEUE_FULL,
+      `Cola de Gemini llena (${QUEUE_CONFIG.maxLength} peticiones en espera)`
+    );
+  }
+
   return new Promise((resolve, reject) => {
-    requestQueue.push({ resolve, reject, buffer, options });
+    const queueTimeoutMs = options.queueTimeoutMs ?? QUEUE_CONFIG.timeoutsMs[priority];
+    const item = { resolve, reject, buffer, options, permit, enqueuedAt: Date.now(), timer: null };
+
+    item.timer = setTimeout(() => {
+      const queue = requestQueues[priority];
+      queue.splice(queue.indexOf(item), 1);
+      releaseCircuit(permit);
+      rejectFromQueue(priority, "timeout");
+      recordQueueWait(priority, queueTimeoutMs);
+      reject(
+        createGeminiError(
+          GEMINI_ERROR_CODES.QUEUE_TIMEOUT,
+          `Petición a Gemini (${priority}) sin turno tras ${queueTimeoutMs}ms en cola`
+        )
+      );
+    }, queueTimeoutMs);
+
+    requestQueues[priority].push(item);
     console.log(
-      `⏳ Petición agregada a cola. Cola: ${requestQueue.length}, Activas: ${activeRequests}`
+      `⏳ Petición ${priority} agregada a cola. Cola: ${getQueueLength()}, Activas: ${activeRequests}`
     );
   });
-};
+}
+
+function getQueueLength() {
+  return PRIORITY_ORDER.reduce((total, priority) => total + requestQueues[priority].length, 0);
+}
 
 /**
- * Función interna que ejecuta la petición real a Gemini
+ * Con la cola llena, descarta la petición más reciente de menor prioridad que la entrante
+ * @param {string} priority - Prioridad de la petición entrante
+ * @returns {boolean} true si liberó un lugar
+ */
+function evictLowerPriority(priority) {
+  const lower = PRIORITY_ORDER.slice(PRIORITY_ORDER.indexOf(priority) + 1).reverse();
+  const victimPriority = lower.find((level) => requestQueues[level].length > 0);
+  if (!victimPriority) {
+    return false;
+  }
+
+  const { reject, permit, timer } = requestQueues[victimPriority].pop();
+  clearTimeout(timer);
+  releaseCircuit(permit);
+  rejectFromQueue(victimPriority, "full");
+  reject(
+    createGeminiError(
+      GEMINI_ERROR_CODES.QUEUE_FULL,
+      `Petición a Gemini (${victimPriority}) desplazada de la cola por una de prioridad ${priority}`
+    )
+  );
+  return true;
+}
+
+function recordQueueWait(priority, waitMs) {
+  queueWaits[priority].count++;
+  queueWaits[priority].totalMs += waitMs;
+  geminiQueueWait.observe({ priority }, waitMs / 1000);
+}
+
+function rejectFromQueue(priority, reason) {
+  queueRejections[reason]++;
+  geminiQueueRejectedTotal.inc({ priority, reason });
+}
+
+/**
+ * Función interna que ejecuta la petición a Gemini con reintentos
+ * Cada intento usa el siguiente endpoint de la rotación; los errores de cuota,
+ * timeout y 5xx se reintentan con backoff exponencial y jitter
  * @param {Buffer} buffer - Buffer de la imagen a analizar
  * @param {Object} options - Opciones de configuración
  * @returns {Promise<string>}
  */
 async function getGeminiReplyInternal(buffer, options = {}) {
-  const base64Image = buffer.toString("base64");
-  const { outputFormat = "array", prompt } = options;
+  const body = buildRequestBody(buffer, options);
+  const maxAttempts = GEMINI_CONFIG.maxRetries + 1;
 
-  // Prompt predeterminado para detectar placas colombianas
-  const defaultPrompt =
-    "necesito que valides en toda la imagen, las posibles placas de vehiculos de colombia, que son de tipo ABC123, donde ABC son letras y 123 son números. Devuelve solo las placas encontradas en formato ABC123 en un array. No incluyas ningún otro texto o explicación. Si no encuentras ninguna placa, responde con '@'";
+  const bodyBytes = Buffer.byteLength(body);
+  requestSizes.push(bodyBytes);
+  if (requestSizes.length > 100) requestSizes.shift(); // Mantener solo últimas 100
+  geminiRequestBytes.observe(bodyBytes);
+
+  for (let attempt = 1; ; attempt++) {
+    let endpoint = null;
+    try {
+      endpoint = getNextEndpoint();
+      bytesSent += bodyBytes;
+      const { reply, usage } = await requestGemini(endpoint.url, body);
+      recordEndpointResult(endpoint);
+      geminiUsageTracker.record(endpoint, { success: true, usage });
+      return reply;
+    } catch (error) {
+      geminiErrorsTotal.inc({ code: error.code || GEMINI_ERROR_CODES.BAD_RESPONSE });
+      if (endpoint) {
+        recordEndpointResult(endpoint, error);
+        geminiUsageTracker.record(endpoint, { success: false });
+      }
+
+      if (!error.retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      // El Retry-After de un endpoint ya se aplica como cuarentena de esa key; solo se
+      // espera por él cuando no queda ningún endpoint disponible
+      const delay = getBackoffDelay(attempt, endpoint ? null : error.retryAfterMs);
+      geminiRetriesTotal.inc({ code: error.code });
+      console.warn(
+        `🔁 Gemini ${error.code} (intento ${attempt}/${maxAttempts}), reintentando con otro endpoint en ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Construye el cuerpo de la petición (imagen + prompt)
+ * @param {Buffer} buffer - Buffer de la imagen a analizar
+ * @param {Object} options - Opciones de configuración ({ prompt, mimeType })
+ * @returns {string} JSON para generateContent
+ */
+function buildRequestBody(buffer, options = {}) {
+  const base64Image = buffer.toString("base64");
+  const { prompt } = options;
+  const mimeType = options.mimeType || detectMimeType(buffer);
 
   const contents = [
     {
@@ -158,48 +772,179 @@ async function getGeminiReplyInternal(buffer, options = {}) {
       parts: [
         {
           inlineData: {
-            mimeType: "image/jpeg",
+            mimeType,
             data: base64Image,
           },
         },
         {
-          text: prompt || defaultPrompt,
+          // Sin prompt explícito se usa el del perfil de placa por defecto (config/plateProfiles.json)
+          text: prompt || plateProfiles.get(null).prompt,
         },
       ],
     },
   ];
 
-  // Obtener el próximo endpoint con rotación
-  const endpoint = getNextEndpoint();
-
-  const response = await fetch(endpoint, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
+  return JSON.stringify({
+    contents,
+    generationConfig: {
+      temperature: 0.1, // Mínimo para máxima velocidad y consistencia
+      topK: 16, // Reducido para velocidad
+      topP: 0.8, // Reducido para velocidad
+      maxOutputTokens: 64, // Mínimo necesario para placas
     },
-    body: JSON.stringify({
-      contents,
-      generationConfig: {
-        temperature: 0.1, // Mínimo para máxima velocidad y consistencia
-        topK: 16, // Reducido para velocidad
-        topP: 0.8, // Reducido para velocidad
-        maxOutputTokens: 64, // Mínimo necesario para placas
-      },
-    }),
   });
+}
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(
-      `Error en respuesta de Gemini: ${response.status}`,
-      errorText
-    );
-    throw new Error(`Error en la API de Gemini: ${response.status}`);
+/**
+ * Detecta el formato real de la imagen por su firma (magic bytes)
+ * Los frames pueden llegar como WebP o PNG aunque la mayoría sean JPEG
+ * @param {Buffer} buffer - Imagen
+ * @returns {string} MIME type; image/jpeg si la firma no se reconoce
+ */
+export function detectMimeType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return "image/png";
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 4, 8) === "ftyp") {
+    const brand = buffer.toString("ascii", 8, 12);
+    if (["heic", "heix", "heim", "heis"].includes(brand)) {
+      return "image/heic";
+    }
+    if (["mif1", "msf1"].includes(brand)) {
+      return "image/heif";
+    }
+  }
+
+  console.warn("⚠️ Formato de imagen no reconocido para Gemini, se envía como image/jpeg");
+  return "image/jpeg";
+}
+
+/**
+ * Ejecuta un único intento contra un endpoint, abortando tras gemini.timeoutMs
+ * @param {string} endpoint - URL con key y versión
+ * @param {string} body - Cuerpo JSON
+ * @returns {Promise<{reply: string, usage: Object|null}>} Texto de la respuesta y usageMetadata
+ */
+async function requestGemini(endpoint, body) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), GEMINI_CONFIG.timeoutMs);
+
+  let response;
+  let data;
+  try {
+    response = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body,
+      signal: controller.signal,
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`Error en respuesta de Gemini: ${response.status}`, errorText);
+      throw createHttpError(response);
+    }
+
+    data = await response.json();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw createGeminiError(
+        GEMINI_ERROR_CODES.TIMEOUT,
+        `Timeout de Gemini: sin respuesta en ${GEMINI_CONFIG.timeoutMs}ms`,
+        { retryable: true }
+      );
+    }
+    if (Object.values(GEMINI_ERROR_CODES).includes(error.code)) {
+      throw error;
+    }
+    if (error instanceof SyntaxError) {
+      throw createGeminiError(GEMINI_ERROR_CODES.BAD_RESPONSE, `Respuesta de Gemini no es JSON: ${error.message}`);
+    }
+    throw createGeminiError(GEMINI_ERROR_CODES.UNAVAILABLE, `Error de red con Gemini: ${error.message}`, {
+      retryable: true,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const reply = data?.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (typeof reply !== "string") {
+    const reason = data?.promptFeedback?.blockReason || data?.candidates?.[0]?.finishReason || "sin texto";
+    throw createGeminiError(GEMINI_ERROR_CODES.BAD_RESPONSE, `Respuesta de Gemini sin contenido (${reason})`);
+  }
+
+  return { reply, usage: data.usageMetadata ?? null };
+}
+
+/**
+ * Clasifica una respuesta HTTP no exitosa
+ * @param {Response} response - Respuesta de fetch
+ * @returns {Error}
+ */
+function createHttpError(response) {
+  const { status } = response;
+
+  if (status === 429) {
+    const retryAfterSeconds = Number(response.headers.get("retry-after"));
+    return createGeminiError(GEMINI_ERROR_CODES.QUOTA_EXCEEDED, "Cuota de Gemini agotada (429)", {
+      status,
+      retryable: true,
+      retryAfterMs: Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0 ? retryAfterSeconds * 1000 : null,
+    });
   }
 
-  const data = await response.json();
+  // Key inválida o sin permisos: se reintenta con otra key de la rotación
+  if (status === 401 || status === 403) {
+    return createGeminiError(GEMINI_ERROR_CODES.KEY_REJECTED, `API key rechazada por Gemini (${status})`, {
+      status,
+      retryable: true,
+    });
+  }
 
-  const reply = data?.candidates?.[0]?.content?.parts?.[0]?.text || "";
+  if (status >= 500) {
+    return createGeminiError(GEMINI_ERROR_CODES.UNAVAILABLE, `Error en la API de Gemini: ${status}`, {
+      status,
+      retryable: true,
+    });
+  }
+
+  return createGeminiError(GEMINI_ERROR_CODES.BAD_RESPONSE, `Error en la API de Gemini: ${status}`, { status });
+}
+
+/**
+ * Crea un error de Gemini con su tipo en `code`
+ * @param {string} code - GEMINI_ERROR_CODES
+ * @param {string} message - Mensaje
+ * @param {Object} details - { status, retryable, retryAfterMs }
+ * @returns {Error}
+ */
+function createGeminiError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = details.status ?? null;
+  error.retryable = details.retryable ?? false;
+  error.retryAfterMs = details.retryAfterMs ?? null;
+  return error;
+}
+
+/**
+ * Backoff exponencial con jitter: rateLimitDelay * 2^(intento-1), entre 50% y 100% del valor
+ * Si Gemini indica Retry-After se respeta como mínimo
+ * @param {number} attempt - Intento fallido (1..n)
+ * @param {number|null} retryAfterMs - Retry-After recibido
+ * @returns {number} Espera en ms
+ */
+function getBackoffDelay(attempt, retryAfterMs) {
+  const exponential = Math.min(GEMINI_CONFIG.rateLimitDelay * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  const jittered = Math.round(exponential * (0.5 + Math.random() * 0.5));
 
-  return reply;
+  return Math.min(Math.max(jittered, retryAfterMs || 0), MAX_BACKOFF_MS);
 }
@@ -0,0 +1,169 @@
+import { createCounter } from "./MetricsService.js";
+import { cleanPlateText, colombianPlateFormat } from "../validators/PlateFormat.js";
+
+/**
+ * Parser de las respuestas de Gemini a la lectura de placas
+ * El prompt pide un array de placas o '@' si no hay ninguna, pero la respuesta
+ * puede llegar como JSON, dentro de bloques de código markdown o como texto libre.
+ * Cada candidata se normaliza con el PlateFormat del perfil de placa
+ * (config/plateProfiles.json) o, sin perfil, con los formatos colombianos
+ */
+
+// Resultado del parseo de una respuesta completa
+export const PARSE_STATUS = {
+  PARSED: "parsed", // Se extrajeron candidatas (válidas o no)
+  EMPTY: "empty", // Gemini indicó que no hay placas ('@' o array vacío)
+  UNPARSEABLE: "unparseable" // Texto sin estructura reconocible
+};
+
+// Marcador de "sin placas" definido en el prompt
+const NO_PLATE_MARKER = "@";
+
+// Longitud aceptable de una candidata normalizada; lo demás es texto suelto del modelo
+const MIN_CANDIDATE_LENGTH = 4;
+const MAX_CANDIDATE_LENGTH = 10;
+
+// Texto libre: la placa llega en un token ("ABC123") o en dos adyacentes ("ABC 123", "ABC-12D")
+const FREE_TEXT_TOKEN = /[A-Z0-9]+/g;
+const MAX_PAIR_PREFIX_LENGTH = 4;
+const MAX_PAIR_SUFFIX_LENGTH = 5;
+
+const replyParseTotal = createCounter({
+  name: "gemini_reply_parse_total",
+  help: "Respuestas de lectura de placas por resultado del parseo",
+  labelNames: ["status"]
+});
+const plateCandidatesTotal = createCounter({
+  name: "plate_candidates_total",
+  help: "Placas candidatas extraídas de las respuestas de Gemini por validez y corrección de OCR",
+  labelNames: ["valid", "corrected"]
+});
+
+/**
+ * Convierte la respuesta de Gemini en una lista tipada de placas
+ * @param {string} reply - Texto devuelto por el proveedor OCR (OcrProvider.recognize)
+ * @param {import("../validators/PlateFormat.js").PlateFormat} plateFormat - Formatos del perfil (por defecto los colombianos)
+ * @returns {{status: string, plates: Array<{raw: string, plate: string, valid: boolean, format: string|null, category: string|null, corrections: number, confidence: number}>}}
+ */
+export const parsePlateReply = (reply, plateFormat = colombianPlateFormat) => {
+  const text = stripCodeFences(String(reply ?? "")).trim();
+
+  let status;
+  let candidates = [];
+
+  if (isNoPlateReply(text)) {
+    status = PARSE_STATUS.EMPTY;
+  } else {
+    const jsonArray = parseJsonArray(text);
+    candidates = jsonArray ? jsonArray.items : extractFreeTextCandidates(text);
+    // Solo un array vacío indica "sin placas"; uno cuyos elementos se descartaron es texto suelto del modelo
+    status = jsonArray?.length === 0
+      ? PARSE_STATUS.EMPTY
+      : candidates.length > 0 ? PARSE_STATUS.PARSED : PARSE_STATUS.UNPARSEABLE;
+  }
+
+  // Deduplicar por placa canónica conservando el orden de aparición y la lectura más confiable
+  const byPlate = new Map();
+  for (const candidate of candidates) {
+    const result = plateFormat.normalize(candidate);
+    if (!result.plate) {
+      continue;
+    }
+
+    const previous = byPlate.get(result.plate);
+    if (!previous) {
+      byPlate.set(result.plate, result);
+      plateCandidatesTotal.inc({ valid: String(result.valid), corrected: String(result.corrections > 0) });
+    } else if (result.confidence > previous.confidence) {
+      byPlate.set(result.plate, result);
+    }
+  }
+  const plates = [...byPlate.values()];
+
+  replyParseTotal.inc({ status });
+
+  return { status, plates };
+};
+
+const stripCodeFences = (text) => text.replace(/```[a-zA-Z]*\s*([\s\S]*?)```/g, "$1");
+
+const isNoPlateReply = (text) =>
+  text === NO_PLATE_MARKER ||
+  /^["'`]?@["'`]?\.?$/.test(text);
+
+/**
+ * Extrae los strings del primer array JSON de la respuesta
+ * Acepta strings u objetos ({ "placa": "ABC123" }) como elementos
+ * @returns {{items: string[], length: number}|null} Candidatas y tamaño original del array; null si no hay un array JSON válido
+ */
+const parseJsonArray = (text) => {
+  const start = text.indexOf("[");
+  const end = text.lastIndexOf("]");
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1).replace(/'/g, '"'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!Array.isArray(parsed)) {
+    return null;
+  }
+
+  const items = parsed.flatMap((item) => {
+    if (typeof item === "string") {
+      return [item];
+    }
+    if (item && typeof item === "object") {
+      return Object.values(item).filter((value) => typeof value === "string");
+    }
+    return [];
+  }).filter((item) => {
+    const length = cleanPlateText(item).length;
+    return item.trim() !== NO_PLATE_MARKER && length >= MIN_CANDIDATE_LENGTH && length <= MAX_CANDIDATE_LENGTH;
+  });
+
+  return { items, length: parsed.length };
+};
+
+const isPlateShaped = (value) =>
+  value.length >= MIN_CANDIDATE_LENGTH &&
+  value.length <= MAX_CANDIDATE_LENGTH &&
+  /[A-Z]/.test(value) &&
+  /\d/.test(value);
+
+/**
+ * Candidatas en texto libre: tokens que mezclan letras y dígitos o, si ninguno de
+ * los dos lo es por sí solo, la unión de dos tokens adyacentes que empieza con letras
+ * ("ES ABC 123" → ABC123)
+ * @returns {string[]}
+ */
+const extractFreeTextCandidates = (text) => {
+  const tokens = text.toUpperCase().match(FREE_TEXT_TOKEN) || [];
+  const candidates = [];
+
+  tokens.forEach((token, index) => {
+    if (isPlateShaped(token)) {
+      candidates.push(token);
+      return;
+    }
+
+    const next = tokens[index + 1];
+    if (
+      next &&
+      !isPlateShaped(next) &&
+      /[A-Z]/.test(token) &&
+      token.length <= MAX_PAIR_PREFIX_LENGTH &&
+      next.length <= MAX_PAIR_SUFFIX_LENGTH &&
+      isPlateShaped(token + next)
+    ) {
+      candidates.push(`${token} ${next}`);
+    }
+  });
+
+  return candidates;
+};
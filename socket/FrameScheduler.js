@@ -0,0 +1,256 @@
+/**
+ * FrameScheduler - Planificador de frames en tiempo real
+ * Mantiene una cola acotada por cliente, limita la concurrencia global de
+ * procesamiento y reparte los turnos en round-robin entre clientes, de modo
+ * que una cámara que envía muchos frames no bloquee a las demás.
+ * Con la política "latest" cada cliente tiene como máximo un frame en
+ * procesamiento y un único hueco pendiente que cada frame nuevo reemplaza,
+ * para que una inferencia lenta no devuelva resultados obsoletos
+ */
+
+import { DetectionConfig } from '../config/DetectionConfig.js';
+import { ERROR_CODES, DROP_POLICIES } from './SocketEvents.js';
+import { createCounter, createGauge } from '../services/MetricsService.js';
+
+const framesRejectedTotal = createCounter({
+    name: 'frames_rejected_total',
+    help: 'Frames rechazados por el planificador',
+    labelNames: ['reason']
+});
+
+export class FrameScheduler {
+    constructor(config = DetectionConfig.DEFAULT_CONFIG.realTime) {
+        this.maxConcurrent = config.maxConcurrentProcessing;
+        this.maxQueuePerClient = config.bufferSize;
+
+        // clientId → tareas pendientes (FIFO)
+        this.queues = new Map();
+        // Orden de turnos: clientes con tareas pendientes
+        this.rotation = [];
+        this.activeTasks = 0;
+        // clientId → tareas en procesamiento
+        this.activeByClient = new Map();
+        // clientId → frames descartados por la política "latest"
+        this.droppedByClient = new Map();
+
+        this.stats = {
+            scheduled: 0,
+            completed: 0,
+            rejected: 0,
+            dropped: 0
+        };
+    }
+
+    /**
+     * Agenda una tarea de procesamiento para un cliente
+     * @param {string} clientId - ID del cliente (socket)
+     * @param {Function} run - Función async que procesa el frame
+     * @param {Object} options - Opciones de encolado
+     * @param {string} [options.dropPolicy] - DROP_POLICIES.QUEUE (defecto) o DROP_POLICIES.LATEST
+     * @param {Function} [options.onDrop] - Callback (droppedCount) cuando se descartan frames pendientes
+     * @returns {Promise<*>} Resultado de `run`; rechaza con code QUEUE_FULL si la cola del cliente está llena
+     *   o FRAME_DROPPED si un frame más reciente lo reemplazó
+     */
+    schedule(clientId, run, options = {}) {
+        const { dropPolicy = DROP_POLICIES.QUEUE, onDrop } = options;
+        const queue = this.queues.get(clientId) || [];
+
+        // Latest-frame-wins: los frames pendientes quedan obsoletos ante uno nuevo
+        let droppedCount = 0;
+        if (dropPolicy === DROP_POLICIES.LATEST && queue.length > 0) {
+            const dropped = queue.splice(0, queue.length);
+            droppedCount = dropped.length;
+            this._recordDropped(clientId, droppedCount);
+
+            for (const task of dropped) {
+                task.reject(this._createError(
+                    ERROR_CODES.FRAME_DROPPED,
+                    'Frame descartado: reemplazado por uno más reciente'
+                ));
+            }
+        }
+
+        if (queue.length >= this.maxQueuePerClient) {
+            this.stats.rejected++;
+            framesRejectedTotal.inc({ reason: 'queue_full' });
+            return Promise.reject(this._createError(
+                ERROR_CODES.QUEUE_FULL,
+                `Cola llena para ${clientId}: ${queue.length} frames pendientes (max: ${this.maxQueuePerClient})`
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            queue.push({ run, resolve, reject, latest: dropPolicy === DROP_POLICIES.LATEST });
+            this.stats.scheduled++;
+
+            if (!this.queues.has(clientId)) {
+                this.queues.set(clientId, queue);
+                this.rotation.push(clientId);
+            }
+
+            this._drain();
+
+            if (droppedCount > 0 && onDrop) {
+                onDrop(droppedCount);
+            }
+        });
+    }
+
+    /**
+     * Descarta las tareas pendientes de un cliente (p. ej. al desconectarse)
+     * Las tareas en ejecución terminan normalmente
+     * @param {string} clientId - ID del cliente
+     * @returns {number} Tareas descartadas
+     */
+    removeClient(clientId) {
+        this.droppedByClient.delete(clientId);
+
+        const queue = this.queues.get(clientId);
+        if (!queue) {
+            return 0;
+        }
+
+        this.queues.delete(clientId);
+        this.rotation = this.rotation.filter(id => id !== clientId);
+
+        for (const task of queue) {
+            task.reject(this._createError(ERROR_CODES.INTERNAL_ERROR, 'Client disconnected'));
+        }
+
+        return queue.length;
+    }
+
+    /**
+     * Frames pendientes de un cliente
+     * @param {string} clientId - ID del cliente
+     * @returns {number}
+     */
+    getPendingCount(clientId) {
+        return this.queues.get(clientId)?.length || 0;
+    }
+
+    /**
+     * Estado de la cola de un cliente para reportarlo en server-status
+     * @param {string} clientId - ID del cliente
+     * @returns {Object} Frames en procesamiento, pendientes y descartados
+     */
+    getClientStats(clientId) {
+        return {
+            processing: this.activeByClient.get(clientId) || 0,
+            pending: this.getPendingCount(clientId),
+            dropped: this.droppedByClient.get(clientId) || 0
+        };
+    }
+
+    /**
+     * Indica si se alcanzó el límite global de concurrencia
+     * @returns {boolean}
+     */
+    isSaturated() {
+        return this.activeTasks >= this.maxConcurrent;
+    }
+
+    /**
+     * Obtiene estadísticas del planificador
+     * @returns {Object} Estadísticas actuales
+     */
+    getStats() {
+        let pending = 0;
+        for (const queue of this.queues.values()) {
+            pending += queue.length;
+        }
+
+        return {
+            ...this.stats,
+            activeTasks: this.activeTasks,
+            pending,
+            clientsWaiting: this.rotation.length,
+            maxConcurrent: this.maxConcurrent,
+            maxQueuePerClient: this.maxQueuePerClient
+        };
+    }
+
+    // Métodos privados
+
+    _drain() {
+        // Clientes revisados seguidos sin poder arrancar un frame
+        let skipped = 0;
+
+        while (this.activeTasks < this.maxConcurrent && skipped < this.rotation.length) {
+            // Round-robin: el cliente atendido pasa al final si le quedan frames
+            const clientId = this.rotation.shift();
+            const queue = this.queues.get(clientId);
+
+            // Latest: un solo frame en procesamiento por cliente; el pendiente espera
+            // su turno y puede ser reemplazado por uno más reciente mientras tanto
+            if (queue[0].latest && this.activeByClient.get(clientId) > 0) {
+                this.rotation.push(clientId);
+                skipped++;
+                continue;
+            }
+
+            skipped = 0;
+            const task = queue.shift();
+
+            if (queue.length > 0) {
+                this.rotation.push(clientId);
+            } else {
+                this.queues.delete(clientId);
+            }
+
+            this._runTask(clientId, task);
+        }
+    }
+
+    _recordDropped(clientId, count) {
+        this.stats.dropped += count;
+        this.droppedByClient.set(clientId, (this.droppedByClient.get(clientId) || 0) + count);
+        framesRejectedTotal.inc({ reason: 'superseded' }, count);
+    }
+
+    _runTask(clientId, task) {
+        this.activeTasks++;
+        this.activeByClient.set(clientId, (this.activeByClient.get(clientId) || 0) + 1);
+
+        Promise.resolve()
+            .then(task.run)
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                this.activeTasks--;
+                this.stats.completed++;
+
+                const active = this.activeByClient.get(clientId) - 1;
+                if (active > 0) {
+                    this.activeByClient.set(clientId, active);
+                } else {
+                    this.activeByClient.delete(clientId);
+                }
+
+                this._drain();
+            });
+    }
+
+    _createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+// Instancia singleton compartida por el servidor Socket.IO
+export const frameScheduler = new FrameScheduler();
+
+createGauge({
+    name: 'frame_queue_pending',
+    help: 'Frames esperando turno en el planificador',
+    collect() {
+        this.set(frameScheduler.getStats().pending);
+    }
+});
+createGauge({
+    name: 'frame_tasks_active',
+    help: 'Frames en procesamiento (limitado por realTime.maxConcurrentProcessing)',
+    collect() {
+        this.set(frameScheduler.activeTasks);
+    }
+});
@@ -4,19 +4,47 @@
  */
 
 import { DetectionService } from '../services/DetectionService.js';
+import { PerformanceMonitor } from '../services/PerformanceMonitor.js';
+import { plateReadingService } from '../services/PlateReadingService.js';
+import { OCR_PRIORITIES } from '../adapters/OcrProvider.js';
+import { createCounter, createGauge, createHistogram, LATENCY_BUCKETS } from '../services/MetricsService.js';
 import { IMAGE_CONFIG, ERROR_CODES } from './SocketEvents.js';
 import sharp from 'sharp';
 
+// Métricas Prometheus del pipeline completo (validación + preprocesamiento + detección)
+const imageProcessingDuration = createHistogram({
+    name: 'image_processing_duration_seconds',
+    help: 'Tiempo total de procesamiento de imágenes en el ImageHandler',
+    buckets: LATENCY_BUCKETS
+});
+const imagesProcessedTotal = createCounter({
+    name: 'images_processed_total',
+    help: 'Imágenes procesadas por el ImageHandler por resultado',
+    labelNames: ['status']
+});
+const imageErrorsTotal = createCounter({
+    name: 'image_errors_total',
+    help: 'Errores de procesamiento de imágenes por código',
+    labelNames: ['code']
+});
+
 export class ImageHandler {
     constructor() {
         this.detectionService = null;
         this.isInitialized = false;
+
+        // Detecciones en tiempo real en curso (los jobs en lote ceden CPU mientras haya)
+        this.activeRealTimeRequests = 0;
+
+        // Análisis de rendimiento (puntuación, memory leaks) expuesto en /metrics
+        this.performanceMonitor = new PerformanceMonitor();
         
         // Estadísticas del handler
         this.stats = {
             totalImages: 0,
             successfulProcessing: 0,
             errors: 0,
+            timeouts: 0,
             averageProcessingTime: 0,
             lastProcessTime: null
         };
@@ -51,43 +79,18 @@ export class ImageHandler {
      * Procesa una imagen recibida vía socket
      * @param {Object} imageData - Datos de la imagen del socket
      * @param {string} socketId - ID del socket cliente
+     * @param {Object} options - Opciones
+     * @param {Function} [options.onPlateRead] - Callback con la lectura de placas de Gemini; se invoca
+     *   después de devolver el resultado, para no retener el turno del planificador
+     * @param {string} [options.plateProfile] - Perfil de placa de la cámara (config/plateProfiles.json)
      * @returns {Promise<Object>} Resultado del procesamiento
      */
-    async processImageFromSocket(imageData, socketId) {
+    async processImageFromSocket(imageData, socketId, options = {}) {
         const startTime = Date.now();
+        this.activeRealTimeRequests++;
         
         try {
-            if (!this.isInitialized) {
-                throw new Error('ImageHandler not initialized');
-            }
-
-            // Validar datos de entrada
-            const validationResult = this._validateImageData(imageData);
-            if (!validationResult.isValid) {
-                throw new Error(validationResult.error);
-            }
-
-            console.log(`🔍 [${socketId}] Procesando imagen - Tipo: ${imageData.format || 'unknown'}`);
-
-            // Convertir imagen a buffer
-            let imageBuffer;
-            try {
-                imageBuffer = await this._convertToBuffer(imageData);
-            } catch (error) {
-                throw new Error(`Error convirtiendo imagen: ${error.message}`);
-            }
-
-            // Validar y procesar imagen con Sharp
-            let processedBuffer;
-            try {
-                processedBuffer = await this._preprocessImage(imageBuffer);
-            } catch (error) {
-                throw new Error(`Error procesando imagen: ${error.message}`);
-            }
-
-            // Ejecutar detección de placas
-            const detectionResult = await this.detectionService.detectPlate(processedBuffer, {
-                socketId,
+            const { imageBuffer, processedBuffer, detectionResult } = await this._runPipeline(imageData, socketId, {
                 enableCache: false,
                 realTime: true
             });
@@ -98,14 +101,18 @@ export class ImageHandler {
 
             console.log(`✅ [${socketId}] Procesamiento completado en ${processingTime}ms`);
 
+            const plateReadPending = this._startPlateRead(imageBuffer, detectionResult, socketId, options);
+
             return {
                 success: true,
                 socketId,
+                requestId: detectionResult.requestId,
                 timestamp: new Date().toISOString(),
                 result: {
                     hasPlate: detectionResult.result?.hasPlate || false,
                     confidence: detectionResult.result?.confidence || 0,
-                    processingTime
+                    processingTime,
+                    plateReadPending
                 },
                 metadata: {
                     imageSize: imageBuffer.length,
@@ -115,24 +122,348 @@ export class ImageHandler {
             };
 
         } catch (error) {
+            return this._createErrorResult(error, socketId, startTime);
+        } finally {
+            this.activeRealTimeRequests--;
+        }
+    }
+
+    /**
+     * Procesa una imagen recibida vía HTTP (multipart o cuerpo binario)
+     * A diferencia del flujo por socket, devuelve el resultado completo de DetectionService
+     * @param {Object} imageData - Datos de la imagen ({ data, format, size })
+     * @param {string} clientId - Identificador del cliente HTTP (IP)
+     * @param {Object} options - Opciones
+     * @param {string} [options.plateProfile] - Perfil de placa del cliente (config/plateProfiles.json)
+     * @returns {Promise<Object>} Resultado del procesamiento
+     */
+    async processImageFromHttp(imageData, clientId, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            const { imageBuffer, processedBuffer, detectionResult } = await this._runPipeline(imageData, clientId, {
+                enableCache: false,
+                realTime: false
+            });
+
             const processingTime = Date.now() - startTime;
-            this._updateStats(processingTime, false);
+            this._updateStats(processingTime, true);
+
+            console.log(`✅ [${clientId}] Procesamiento HTTP completado en ${processingTime}ms`);
 
-            console.error(`❌ [${socketId}] Error procesando imagen:`, error);
+            // En HTTP la lectura de placas se espera y viaja en la misma respuesta
+            const plateRead = plateReadingService.shouldRead(detectionResult)
+                ? await plateReadingService.readPlates(imageBuffer, clientId, {
+                    priority: OCR_PRIORITIES.NORMAL,
+                    profile: options.plateProfile
+                })
+                : null;
+
+            return {
+                success: detectionResult.success,
+                clientId,
+                timestamp: new Date().toISOString(),
+                detection: detectionResult,
+                plateRead,
+                metadata: {
+                    imageSize: imageBuffer.length,
+                    processedSize: processedBuffer.length,
+                    format: imageData.format || 'unknown',
+                    processingTime
+                }
+            };
+
+        } catch (error) {
+            const { socketId, ...errorResult } = this._createErrorResult(error, clientId, startTime);
+            return { ...errorResult, clientId };
+        }
+    }
+
+    /**
+     * Procesa un lote de imágenes con DetectionService.detectPlatesInBatch
+     * Las imágenes que no pasan la validación o el preprocesamiento se reportan
+     * como fallidas sin detener el resto del lote
+     * @param {Object[]} images - Imágenes ({ filename, data, format, size })
+     * @param {string} clientId - Identificador del cliente
+     * @param {Object} options - Opciones para detectPlatesInBatch (signal, beforeEach)
+     * @param {Function} [options.onProgress] - Callback ({ processed, total, stats }) tras cada imagen
+     * @returns {Promise<Object>} Resumen del lote y resultados por nombre de archivo
+     */
+    async processBatch(images, clientId, options = {}) {
+        const startTime = Date.now();
+        const { onProgress, ...batchOptions } = options;
+
+        try {
+            if (!this.isInitialized) {
+                throw new Error('ImageHandler not initialized');
+            }
+
+            const results = {};
+            const prepared = [];
+            let rejected = 0;
+            let cancelled = false;
+
+            for (const [index, image] of images.entries()) {
+                if (batchOptions.signal?.aborted) {
+                    cancelled = true;
+                    break;
+                }
+
+                const filename = this._uniqueFilename(image.filename || `image_${index + 1}`, results);
+
+                try {
+                    const { processedBuffer } = await this._prepareImage(image, `${clientId}:${filename}`);
+                    prepared.push({ filename, buffer: processedBuffer });
+                    results[filename] = null; // Reservar nombre, se completa tras la detección
+                } catch (error) {
+                    const code = this._getErrorCode(error);
+                    rejected++;
+                    this._updateStats(0, false);
+                    imageErrorsTotal.inc({ code });
+                    results[filename] = {
+                        success: false,
+                        error: {
+                            code,
+                            message: error.message
+                        }
+                    };
+                }
+            }
+
+            let batch = null;
+            if (prepared.length > 0 && !cancelled) {
+                batch = await this.detectionService.detectPlatesInBatch(
+                    prepared.map(item => item.buffer),
+                    {
+                        ...batchOptions,
+                        onProgress: onProgress && ((stats, result, i) => onProgress({
+                            processed: rejected + i + 1,
+                            total: images.length,
+                            stats: { ...stats, failed: stats.failed + rejected, rejected }
+                        }))
+                    }
+                );
+
+                if (!batch.success) {
+                    throw new Error(batch.error);
+                }
+
+                cancelled = batch.cancelled;
+                batch.results.forEach((result, i) => {
+                    results[prepared[i].filename] = result;
+                    this._updateStats(batch.performance.averageTimePerImage, result.success);
+                });
+            }
+
+            // Descartar los nombres reservados de imágenes no procesadas (lote cancelado)
+            for (const filename of Object.keys(results)) {
+                if (results[filename] === null) {
+                    delete results[filename];
+                }
+            }
+
+            const processingTime = Date.now() - startTime;
+            console.log(`📦 [${clientId}] Lote de ${images.length} imágenes procesado en ${processingTime}ms`);
+
+            return {
+                success: true,
+                clientId,
+                batchId: batch?.batchId || null,
+                cancelled,
+                timestamp: new Date().toISOString(),
+                summary: {
+                    total: images.length,
+                    processed: Object.keys(results).length,
+                    successful: batch?.stats.successful || 0,
+                    failed: (batch?.stats.failed || 0) + rejected,
+                    rejected,
+                    withPlates: batch?.stats.withPlates || 0,
+                    withoutPlates: batch?.stats.withoutPlates || 0
+                },
+                performance: {
+                    processingTime,
+                    detectionTime: batch?.performance.totalTime || 0,
+                    averageTimePerImage: batch?.performance.averageTimePerImage || 0,
+                    imagesPerSecond: batch?.performance.imagesPerSecond || 0
+                },
+                results
+            };
+
+        } catch (error) {
+            console.error(`❌ [${clientId}] Error procesando lote:`, error);
 
             return {
                 success: false,
-                socketId,
+                clientId,
                 timestamp: new Date().toISOString(),
                 error: {
                     code: this._getErrorCode(error),
                     message: error.message,
-                    processingTime
+                    processingTime: Date.now() - startTime
                 }
             };
         }
     }
 
+    /**
+     * Valida, convierte, preprocesa y ejecuta la detección sobre una imagen
+     * dentro del plazo IMAGE_CONFIG.PROCESSING_TIMEOUT
+     * @param {Object} imageData - Datos de la imagen
+     * @param {string} sourceId - ID del cliente (socket o HTTP) para logs
+     * @param {Object} detectionOptions - Opciones para DetectionService.detectPlate
+     * @returns {Promise<Object>} Buffers intermedios y resultado de detección
+     */
+    async _runPipeline(imageData, sourceId, detectionOptions) {
+        if (!this.isInitialized) {
+            throw new Error('ImageHandler not initialized');
+        }
+
+        const controller = new AbortController();
+
+        const pipeline = (async () => {
+            const { imageBuffer, processedBuffer } = await this._prepareImage(imageData, sourceId);
+
+            if (controller.signal.aborted) {
+                throw new Error('Detection aborted: processing timeout exceeded');
+            }
+
+            // Ejecutar detección de placas
+            const detectionResult = await this.detectionService.detectPlate(processedBuffer, {
+                socketId: sourceId,
+                ...detectionOptions,
+                signal: controller.signal
+            });
+
+            return { imageBuffer, processedBuffer, detectionResult };
+        })();
+
+        return this._withTimeout(pipeline, controller, sourceId);
+    }
+
+    /**
+     * Espera el pipeline como máximo IMAGE_CONFIG.PROCESSING_TIMEOUT
+     * Al vencer el plazo aborta la detección en curso: el detector deja de avanzar
+     * entre etapas y sus tensores se liberan cuando la operación pendiente termina
+     * @param {Promise<Object>} pipeline - Pipeline en ejecución
+     * @param {AbortController} controller - Controlador que recibe el aborto
+     * @param {string} sourceId - ID del cliente para logs
+     * @returns {Promise<Object>} Resultado del pipeline
+     */
+    async _withTimeout(pipeline, controller, sourceId) {
+        const timeoutMs = IMAGE_CONFIG.PROCESSING_TIMEOUT;
+        let timer = null;
+
+        const deadline = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                this.stats.timeouts++;
+
+                const error = new Error(`Processing timeout: exceeded ${timeoutMs}ms`);
+                error.code = ERROR_CODES.PROCESSING_TIMEOUT;
+                reject(error);
+            }, timeoutMs);
+        });
+
+        try {
+            return await Promise.race([pipeline, deadline]);
+        } finally {
+            clearTimeout(timer);
+
+            if (controller.signal.aborted) {
+                // El resultado tardío se descarta; solo se registra su finalización
+                pipeline.then(
+                    () => console.warn(`⏰ [${sourceId}] Resultado descartado: llegó después del timeout`),
+                    () => {}
+                );
+            }
+        }
+    }
+
+    /**
+     * Valida, convierte y preprocesa una imagen sin ejecutar la detección
+     * @param {Object} imageData - Datos de la imagen
+     * @param {string} sourceId - ID del cliente para logs
+     * @returns {Promise<Object>} Buffer original y buffer preprocesado
+     */
+    async _prepareImage(imageData, sourceId) {
+        // Validar datos de entrada
+        const validationResult = this._validateImageData(imageData);
+        if (!validationResult.isValid) {
+            throw new Error(validationResult.error);
+        }
+
+        console.log(`🔍 [${sourceId}] Procesando imagen - Tipo: ${imageData.format || 'unknown'}`);
+
+        // Convertir imagen a buffer
+        let imageBuffer;
+        try {
+            imageBuffer = await this._convertToBuffer(imageData);
+        } catch (error) {
+            throw new Error(`Error convirtiendo imagen: ${error.message}`);
+        }
+
+        // Validar y procesar imagen con Sharp
+        let processedBuffer;
+        try {
+            processedBuffer = await this._preprocessImage(imageBuffer);
+        } catch (error) {
+            throw new Error(`Error procesando imagen: ${error.message}`);
+        }
+
+        return { imageBuffer, processedBuffer };
+    }
+
+    /**
+     * Lanza la lectura de placas en segundo plano si la detección la amerita
+     * @param {Buffer} imageBuffer - Imagen original
+     * @param {Object} detectionResult - Resultado de DetectionService.detectPlate
+     * @param {string} sourceId - ID del cliente para logs
+     * @param {Object} options - { onPlateRead: receptor de la lectura, plateProfile }
+     * @returns {boolean} true si quedó una lectura pendiente
+     */
+    _startPlateRead(imageBuffer, detectionResult, sourceId, { onPlateRead, plateProfile }) {
+        if (!onPlateRead || !plateReadingService.shouldRead(detectionResult)) {
+            return false;
+        }
+
+        // Los frames en tiempo real pasan delante de las lecturas HTTP y en lote
+        plateReadingService.readPlates(imageBuffer, sourceId, {
+            priority: OCR_PRIORITIES.HIGH,
+            profile: plateProfile
+        })
+            .then(onPlateRead)
+            .catch(error => console.error(`❌ [${sourceId}] Error entregando lectura de placa:`, error));
+        return true;
+    }
+
+    /**
+     * Construye la respuesta de error y actualiza estadísticas
+     * @param {Error} error - Error ocurrido
+     * @param {string} sourceId - ID del cliente
+     * @param {number} startTime - Inicio del procesamiento
+     * @returns {Object} Resultado de error
+     */
+    _createErrorResult(error, sourceId, startTime) {
+        const processingTime = Date.now() - startTime;
+        this._updateStats(processingTime, false);
+
+        console.error(`❌ [${sourceId}] Error procesando imagen:`, error);
+
+        const code = this._getErrorCode(error);
+        imageErrorsTotal.inc({ code });
+
+        return {
+            success: false,
+            socketId: sourceId,
+            timestamp: new Date().toISOString(),
+            error: {
+                code,
+                message: error.message,
+                processingTime
+            }
+        };
+    }
+
     /**
      * Valida los datos de imagen recibidos
      * @param {Object} imageData - Datos de la imagen
@@ -260,12 +591,38 @@ export class ImageHandler {
         }
     }
 
+    /**
+     * Evita colisiones de nombre dentro de un lote ("foto.jpg" → "foto (2).jpg")
+     * @param {string} filename - Nombre original
+     * @param {Object} taken - Resultados ya registrados, indexados por nombre
+     * @returns {string} Nombre único
+     */
+    _uniqueFilename(filename, taken) {
+        if (!(filename in taken)) {
+            return filename;
+        }
+
+        const dot = filename.lastIndexOf('.');
+        const base = dot > 0 ? filename.slice(0, dot) : filename;
+        const extension = dot > 0 ? filename.slice(dot) : '';
+
+        let counter = 2;
+        while (`${base} (${counter})${extension}` in taken) {
+            counter++;
+        }
+        return `${base} (${counter})${extension}`;
+    }
+
     /**
      * Determina el código de error apropiado
      * @param {Error} error - Error ocurrido
      * @returns {string} Código de error
      */
     _getErrorCode(error) {
+        if (error.code && Object.values(ERROR_CODES).includes(error.code)) {
+            return error.code;
+        }
+
         const message = error.message.toLowerCase();
         
         if (message.includes('not initialized')) {
@@ -299,6 +656,14 @@ export class ImageHandler {
             this.stats.errors++;
         }
 
+        imagesProcessedTotal.inc({ status: success ? 'success' : 'failure' });
+        imageProcessingDuration.observe(processingTime / 1000);
+        this.performanceMonitor.recordDetection({
+            processingTime,
+            memoryUsed: process.memoryUsage().heapUsed,
+            success
+        });
+
         // Calcular promedio de tiempo de procesamiento
         const successfulCount = this.stats.successfulProcessing;
         if (successfulCount > 0) {
@@ -315,6 +680,7 @@ export class ImageHandler {
     getStats() {
         return {
             ...this.stats,
+            activeRealTimeRequests: this.activeRealTimeRequests,
             successRate: this.stats.totalImages > 0 ? 
                 Math.round((this.stats.successfulProcessing / this.stats.totalImages) * 100) : 0,
             errorRate: this.stats.totalImages > 0 ? 
@@ -330,11 +696,70 @@ export class ImageHandler {
             totalImages: 0,
             successfulProcessing: 0,
             errors: 0,
+            timeouts: 0,
             averageProcessingTime: 0,
             lastProcessTime: null
         };
+        this.performanceMonitor.reset();
     }
 }
 
 // Instancia singleton para reutilizar en toda la aplicación
 export const imageHandler = new ImageHandler();
+
+// Gauges leídos en cada scrape desde las estadísticas en memoria del singleton
+const getDetector = () => imageHandler.detectionService?.detector;
+
+createGauge({
+    name: 'realtime_requests_active',
+    help: 'Detecciones en tiempo real en curso',
+    collect() {
+        this.set(imageHandler.activeRealTimeRequests);
+    }
+});
+createGauge({
+    name: 'detector_ready',
+    help: 'PlateDetector cargado y con warmup completado (1) o no (0)',
+    collect() {
+        this.set(getDetector()?.isReady ? 1 : 0);
+    }
+});
+createGauge({
+    name: 'tensorflow_tensors',
+    help: 'Tensores vivos según TensorFlowAdapter.getStats()',
+    collect() {
+        const memory = getDetector()?.tfAdapter.getStats().memory.current;
+        this.set(memory?.numTensors || 0);
+    }
+});
+createGauge({
+    name: 'tensorflow_memory_bytes',
+    help: 'Memoria de tensores según TensorFlowAdapter.getStats()',
+    labelNames: ['kind'],
+    collect() {
+        const memory = getDetector()?.tfAdapter.getStats().memory;
+        this.set({ kind: 'current' }, memory?.current?.numBytes || 0);
+        this.set({ kind: 'peak' }, memory?.peak?.numBytes || 0);
+    }
+});
+createGauge({
+    name: 'tensorflow_memory_leak_detected',
+    help: 'TensorFlowAdapter detectó una posible fuga de memoria (1) o no (0)',
+    collect() {
+        this.set(getDetector()?.tfAdapter.getStats().memory.leakDetected ? 1 : 0);
+    }
+});
+createGauge({
+    name: 'performance_score',
+    help: 'Puntuación de rendimiento calculada por PerformanceMonitor (0-100)',
+    collect() {
+        this.set(imageHandler.performanceMonitor.getStats().performance || 0);
+    }
+});
+createGauge({
+    name: 'performance_average_inference_ms',
+    help: 'Tiempo promedio de las últimas 100 detecciones según PerformanceMonitor',
+    collect() {
+        this.set(imageHandler.performanceMonitor.getStats().averageInferenceTime);
+    }
+});
@@ -0,0 +1,249 @@
+/**
+ * RoomManager - Salas por cámara o portería
+ * Un socket publica frames (la cámara) y cualquier número de consolas de
+ * operador suscritas a la sala reciben los resultados de detección en vivo
+ */
+
+import { ERROR_CODES, ROOM_CONFIG, ROOM_ROLES } from './SocketEvents.js';
+
+export class RoomManager {
+    constructor(config = ROOM_CONFIG) {
+        this.config = config;
+
+        // roomId → { publishers: Map<socketId, joinedAt>, viewers: Map<socketId, joinedAt> }
+        this.rooms = new Map();
+        // socketId → Map<roomId, role>
+        this.socketRooms = new Map();
+
+        // Regla de permisos intercambiable (p. ej. control de acceso por identidad)
+        // Se evalúa antes del límite de publicadores, que siempre se aplica
+        this.permissionCheck = () => ({ allowed: true });
+    }
+
+    /**
+     * Reemplaza la regla que decide si un socket puede unirse con un rol
+     * @param {Function} check - (socket, roomId, role) => { allowed: boolean, reason?: string }
+     */
+    setPermissionCheck(check) {
+        this.permissionCheck = check;
+    }
+
+    /**
+     * Nombre de la sala Socket.IO (con prefijo para no colisionar con IDs de socket)
+     * @param {string} roomId - ID de cámara o portería
+     * @returns {string}
+     */
+    toSocketRoom(roomId) {
+        return `${this.config.PREFIX}${roomId}`;
+    }
+
+    /**
+     * Une un socket a una sala con un rol
+     * @param {import('socket.io').Socket} socket - Socket cliente
+     * @param {string} roomId - ID de cámara o portería
+     * @param {string} role - ROOM_ROLES.PUBLISHER o ROOM_ROLES.VIEWER
+     * @returns {Object} Miembros de la sala tras unirse
+     */
+    join(socket, roomId, role = ROOM_ROLES.VIEWER) {
+        this._validateRoomId(roomId);
+
+        if (!Object.values(ROOM_ROLES).includes(role)) {
+            throw this._createError(ERROR_CODES.INVALID_ROOM, `Rol inválido: ${role}`);
+        }
+
+        const currentRole = this.socketRooms.get(socket.id)?.get(roomId);
+        if (currentRole === role) {
+            return this.getMembers(roomId);
+        }
+
+        const permission = this.permissionCheck(socket, roomId, role);
+        const decision = permission.allowed ? this._checkCapacity(socket, roomId, role) : permission;
+        if (!decision.allowed) {
+            throw this._createError(ERROR_CODES.ROOM_PERMISSION_DENIED, decision.reason);
+        }
+
+        // Cambio de rol dentro de la misma sala
+        if (currentRole) {
+            this._removeMember(socket.id, roomId);
+        }
+
+        const room = this._getOrCreateRoom(roomId);
+        const members = role === ROOM_ROLES.PUBLISHER ? room.publishers : room.viewers;
+        members.set(socket.id, new Date().toISOString());
+
+        if (!this.socketRooms.has(socket.id)) {
+            this.socketRooms.set(socket.id, new Map());
+        }
+        this.socketRooms.get(socket.id).set(roomId, role);
+
+        socket.join(this.toSocketRoom(roomId));
+        console.log(`🚪 [${socket.id}] Unido a sala ${roomId} como ${role}`);
+
+        return this.getMembers(roomId);
+    }
+
+    /**
+     * Saca un socket de una sala
+     * @param {import('socket.io').Socket} socket - Socket cliente
+     * @param {string} roomId - ID de la sala
+     * @returns {Object|null} Miembros restantes o null si la sala quedó vacía
+     */
+    leave(socket, roomId) {
+        this._validateRoomId(roomId);
+
+        if (!this.isMember(socket.id, roomId)) {
+            throw this._createError(ERROR_CODES.ROOM_NOT_FOUND, `El socket no pertenece a la sala ${roomId}`);
+        }
+
+        this._removeMember(socket.id, roomId);
+        socket.leave(this.toSocketRoom(roomId));
+        console.log(`🚪 [${socket.id}] Salió de la sala ${roomId}`);
+
+        return this.rooms.has(roomId) ? this.getMembers(roomId) : null;
+    }
+
+    /**
+     * Saca un socket de todas sus salas (desconexión)
+     * Socket.IO abandona las salas automáticamente al desconectar
+     * @param {string} socketId - ID del socket
+     * @returns {string[]} Salas que abandonó
+     */
+    leaveAll(socketId) {
+        const roomIds = [...(this.socketRooms.get(socketId)?.keys() || [])];
+
+        for (const roomId of roomIds) {
+            this._removeMember(socketId, roomId);
+        }
+
+        return roomIds;
+    }
+
+    /**
+     * Lista los miembros de una sala
+     * @param {string} roomId - ID de la sala
+     * @returns {Object} Publicadores y observadores con su hora de ingreso
+     */
+    getMembers(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw this._createError(ERROR_CODES.ROOM_NOT_FOUND, `Sala no encontrada: ${roomId}`);
+        }
+
+        const toList = (members) => [...members].map(([socketId, joinedAt]) => ({ socketId, joinedAt }));
+
+        return {
+            roomId,
+            publishers: toList(room.publishers),
+            viewers: toList(room.viewers)
+        };
+    }
+
+    /**
+     * Salas en las que un socket publica
+     * @param {string} socketId - ID del socket
+     * @returns {string[]}
+     */
+    getPublishedRooms(socketId) {
+        const rooms = this.socketRooms.get(socketId);
+        if (!rooms) {
+            return [];
+        }
+
+        return [...rooms].filter(([, role]) => role === ROOM_ROLES.PUBLISHER).map(([roomId]) => roomId);
+    }
+
+    /**
+     * Indica si un socket pertenece a una sala (con cualquier rol)
+     * @param {string} socketId - ID del socket
+     * @param {string} roomId - ID de la sala
+     * @returns {boolean}
+     */
+    isMember(socketId, roomId) {
+        return Boolean(this.socketRooms.get(socketId)?.has(roomId));
+    }
+
+    /**
+     * Indica si un socket puede publicar en una sala
+     * @param {string} socketId - ID del socket
+     * @param {string} roomId - ID de la sala
+     * @returns {boolean}
+     */
+    isPublisher(socketId, roomId) {
+        return this.socketRooms.get(socketId)?.get(roomId) === ROOM_ROLES.PUBLISHER;
+    }
+
+    /**
+     * Resumen de todas las salas activas
+     * @returns {Object[]}
+     */
+    listRooms() {
+        return [...this.rooms].map(([roomId, room]) => ({
+            roomId,
+            publishers: room.publishers.size,
+            viewers: room.viewers.size
+        }));
+    }
+
+    // Métodos privados
+
+    _checkCapacity(socket, roomId, role) {
+        if (role !== ROOM_ROLES.PUBLISHER) {
+            return { allowed: true };
+        }
+
+        const publishers = this.rooms.get(roomId)?.publishers;
+        if (publishers && publishers.size >= this.config.MAX_PUBLISHERS_PER_ROOM && !publishers.has(socket.id)) {
+            return {
+                allowed: false,
+                reason: `La sala ${roomId} ya tiene ${publishers.size} publicador(es) (max: ${this.config.MAX_PUBLISHERS_PER_ROOM})`
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    _getOrCreateRoom(roomId) {
+        if (!this.rooms.has(roomId)) {
+            this.rooms.set(roomId, {
+                publishers: new Map(),
+                viewers: new Map()
+            });
+        }
+        return this.rooms.get(roomId);
+    }
+
+    _removeMember(socketId, roomId) {
+        const room = this.rooms.get(roomId);
+        if (room) {
+            room.publishers.delete(socketId);
+            room.viewers.delete(socketId);
+
+            if (room.publishers.size === 0 && room.viewers.size === 0) {
+                this.rooms.delete(roomId);
+            }
+        }
+
+        const rooms = this.socketRooms.get(socketId);
+        if (rooms) {
+            rooms.delete(roomId);
+            if (rooms.size === 0) {
+                this.socketRooms.delete(socketId);
+            }
+        }
+    }
+
+    _validateRoomId(roomId) {
+        if (typeof roomId !== 'string' || !this.config.ID_PATTERN.test(roomId)) {
+            throw this._createError(ERROR_CODES.INVALID_ROOM, `ID de sala inválido: ${roomId}`);
+        }
+    }
+
+    _createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
+
+// Instancia singleton compartida por el servidor Socket.IO
+export const roomManager = new RoomManager();
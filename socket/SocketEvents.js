@@ -10,6 +10,7 @@ const CLIENT_EVENTS = {
   ANALYZE_IMAGE: "analyze-image",
   JOIN_ROOM: "join-room",
   LEAVE_ROOM: "leave-room",
+  ROOM_MEMBERS: "room-members",
 };
 
 // Eventos del servidor hacia el cliente
@@ -18,6 +19,11 @@ const SERVER_EVENTS = {
   ANALYSIS_ERROR: "analysis-error",
   SERVER_STATUS: "server-status",
   CONNECTION_CONFIRMED: "connection-confirmed",
+  ROOM_UPDATE: "room-update",
+  ROOM_ANALYSIS_RESULT: "room-analysis-result",
+  ROOM_ERROR: "room-error",
+  PLATE_READ: "plate-read",
+  ROOM_PLATE_READ: "room-plate-read",
 };
 
 // Configuración de Socket.IO
@@ -49,6 +55,11 @@ const IMAGE_CONFIG = {
   WEBP_QUALITY: 0.9, // Calidad WebP (0.9 = 90%)
   JPEG_FALLBACK_QUALITY: 0.85, // Calidad JPEG como fallback
   PROCESSING_TIMEOUT: 10000, // 10 segundos timeout
+  // Límites para carga de lotes vía HTTP (multipart o ZIP)
+  BATCH: {
+    MAX_FILES: 500,
+    MAX_TOTAL_SIZE: 200 * 1024 * 1024, // 200MB sin comprimir por lote
+  },
   EXPECTED_DIMENSIONS: {
     width: 300,
     height: 300,
@@ -62,6 +73,24 @@ const IMAGE_CONFIG = {
   }
 };
 
+// Políticas de descarte de frames por socket (opción dropPolicy de analyze-image)
+const DROP_POLICIES = {
+  QUEUE: "queue", // Encola hasta realTime.bufferSize frames, rechaza los que excedan
+  LATEST: "latest", // Un frame en proceso y solo el pendiente más reciente por cliente, descarta los anteriores
+};
+
+// Salas por cámara o portería
+const ROOM_ROLES = {
+  PUBLISHER: "publisher", // Cámara: envía frames, sus resultados se difunden a la sala
+  VIEWER: "viewer", // Consola de operador: solo recibe resultados
+};
+
+const ROOM_CONFIG = {
+  PREFIX: "room:", // Prefijo de sala Socket.IO para no colisionar con IDs de socket
+  MAX_PUBLISHERS_PER_ROOM: 1,
+  ID_PATTERN: /^[A-Za-z0-9_-]{1,64}$/,
+};
+
 // Estados del servidor
 const SERVER_STATUS = {
   READY: "ready",
@@ -78,6 +107,17 @@ const ERROR_CODES = {
   MODEL_NOT_LOADED: "MODEL_NOT_LOADED",
   INTERNAL_ERROR: "INTERNAL_ERROR",
   INVALID_FORMAT: "INVALID_FORMAT",
+  QUEUE_FULL: "QUEUE_FULL",
+  FRAME_DROPPED: "FRAME_DROPPED",
+  INVALID_ROOM: "INVALID_ROOM",
+  ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+  ROOM_PERMISSION_DENIED: "ROOM_PERMISSION_DENIED",
+  JOB_NOT_FOUND: "JOB_NOT_FOUND",
+  JOB_QUEUE_FULL: "JOB_QUEUE_FULL",
+  AUTH_FAILED: "AUTH_FAILED",
+  PERMISSION_DENIED: "PERMISSION_DENIED",
+  RATE_LIMITED: "RATE_LIMITED",
+  PLATE_READ_FAILED: "PLATE_READ_FAILED",
 };
 
 export {
@@ -87,4 +127,7 @@ export {
   IMAGE_CONFIG,
   SERVER_STATUS,
   ERROR_CODES,
+  DROP_POLICIES,
+  ROOM_ROLES,
+  ROOM_CONFIG,
 };
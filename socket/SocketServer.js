@@ -9,9 +9,30 @@ import {
     SERVER_EVENTS,
     SERVER_STATUS,
     ERROR_CODES,
-    IMAGE_CONFIG
+    IMAGE_CONFIG,
+    DROP_POLICIES,
+    ROOM_ROLES
 } from './SocketEvents.js';
 import { imageHandler } from './ImageHandler.js';
+import { frameScheduler } from './FrameScheduler.js';
+import { roomManager } from './RoomManager.js';
+import { authService } from '../services/AuthService.js';
+import { accessControl } from '../services/AccessControl.js';
+import { rateLimiter } from '../services/RateLimiter.js';
+import { getCircuitStats, onCircuitStateChange } from '../services/geminiService.js';
+import { IDENTITY_TYPES, PERMISSIONS } from '../config/AuthConfig.js';
+import { createCounter, createGauge } from '../services/MetricsService.js';
+
+// Métricas Prometheus de conexiones y frames recibidos
+const socketConnections = createGauge({
+    name: 'socket_connections',
+    help: 'Clientes Socket.IO conectados'
+});
+const socketFramesTotal = createCounter({
+    name: 'socket_frames_received_total',
+    help: 'Frames recibidos por el evento analyze-image por cliente autenticado',
+    labelNames: ['client']
+});
 
 export const initializeSocketServer = async (httpServer) => {
     const io = new Server(httpServer, {
@@ -19,60 +40,346 @@ export const initializeSocketServer = async (httpServer) => {
         ...SOCKET_CONFIG.CONNECTION
     });
 
-    // Inicializar ImageHandler
-    try {
-        await imageHandler.initialize();
-        console.log('🔌 Socket.IO configurado con ImageHandler');
-    } catch (error) {
-        console.error('❌ Error inicializando ImageHandler:', error);
-        throw error;
-    }
+    // Autenticación en el handshake: la identidad queda en socket.data.identity
+    io.use((socket, next) => {
+        const address = rateLimiter.resolveSocketAddress(socket.handshake);
+        const credentials = authService.getCredentialsFromHandshake(socket.handshake);
+        const credentialKey = authService.getCredentialFingerprint(credentials);
+        socket.data.address = address;
+
+        const failures = rateLimiter.checkAuthFailures(address, credentialKey);
+        if (!failures.allowed) {
+            const limitError = rateLimiter.createLimitError(failures);
+            const blockedError = new Error(limitError.message);
+            blockedError.data = { code: limitError.code, message: limitError.message, retryAfterMs: failures.retryAfterMs };
+            return next(blockedError);
+        }
+
+        try {
+            socket.data.identity = authService.authenticate(
+                credentials,
+                { transport: 'socket', fallbackId: socket.id }
+            );
+            next();
+        } catch (error) {
+            rateLimiter.recordAuthFailure(address, credentialKey, { transport: 'socket' });
+            console.warn(`🔒 Handshake rechazado (${address}): ${error.message}`);
 
-    // Almacena el estado del servidor
-    let serverStatus = SERVER_STATUS.READY;
+            // El cliente recibe connect_error con err.data = { code, message }
+            const authError = new Error(error.message);
+            authError.data = { code: error.code, message: error.message };
+            next(authError);
+        }
+    });
+
+    // Unirse como publicador requiere rooms:publish; como observador, rooms:view
+    roomManager.setPermissionCheck((socket, roomId, role) => {
+        const permission = role === ROOM_ROLES.PUBLISHER ? PERMISSIONS.ROOMS_PUBLISH : PERMISSIONS.ROOMS_VIEW;
+
+        return accessControl.can(socket.data.identity, permission)
+            ? { allowed: true }
+            : { allowed: false, reason: `Permission denied: ${socket.data.identity.id} lacks ${permission}` };
+    });
+
+    // Estado del servidor según la carga del planificador de frames
+    const getServerStatus = () => (
+        frameScheduler.isSaturated() ? SERVER_STATUS.PROCESSING : SERVER_STATUS.READY
+    );
+
+    // Estado global + estado de la cola propia del socket (pendientes y descartados)
+    // y del circuit breaker de Gemini (lectura de placas)
+    const emitServerStatus = (socket) => {
+        const { activeTasks, pending, maxConcurrent } = frameScheduler.getStats();
+        const { state, retryAfterMs } = getCircuitStats();
+
+        socket.emit(SERVER_EVENTS.SERVER_STATUS, {
+            status: getServerStatus(),
+            activeTasks,
+            pending,
+            maxConcurrent,
+            gemini: {
+                circuit: state,
+                retryAfterMs
+            },
+            client: {
+                dropPolicy: socket.data.dropPolicy,
+                ...frameScheduler.getClientStats(socket.id)
+            }
+        });
+    };
+
+    /**
+     * Construye la respuesta de un frame correlacionable por el cliente
+     * Mantiene hasPlate/confidence/processingTime en la raíz por compatibilidad
+     * @param {Object} frame - frameId y timestamps del frame
+     * @param {Object} result - Resultado de ImageHandler.processImageFromSocket
+     * @returns {Object} Payload para analysis-result / ack
+     */
+    const buildFrameResult = (frame, result) => ({
+        success: true,
+        frameId: frame.frameId,
+        requestId: result.requestId,
+        ...result.result,
+        timestamps: {
+            ...frame.timestamps,
+            completed: result.timestamp
+        },
+        quota: frame.quota ?? null,
+        metadata: result.metadata
+    });
+
+    /**
+     * Construye la respuesta de error de un frame
+     * @param {Object} frame - frameId y timestamps del frame
+     * @param {Object} error - { code, message }
+     * @returns {Object} Payload para analysis-error / ack
+     */
+    const buildFrameError = (frame, error) => ({
+        success: false,
+        frameId: frame.frameId,
+        code: error.code || ERROR_CODES.INTERNAL_ERROR,
+        message: error.message,
+        processingTime: error.processingTime ?? null,
+        timestamps: {
+            ...frame.timestamps,
+            completed: new Date().toISOString()
+        },
+        quota: frame.quota ?? null
+    });
+
+    // Notifica a los miembros de una sala los cambios de membresía
+    const emitRoomUpdate = (roomId) => {
+        try {
+            io.to(roomManager.toSocketRoom(roomId)).emit(SERVER_EVENTS.ROOM_UPDATE, roomManager.getMembers(roomId));
+        } catch (error) {
+            // La sala quedó vacía: no hay a quién notificar
+        }
+    };
+
+    // Responde por ack si el cliente lo envió; si no, los errores llegan por room-error
+    const replyRoom = (socket, ack, payload) => {
+        if (typeof ack === 'function') {
+            ack(payload);
+        } else if (!payload.success) {
+            socket.emit(SERVER_EVENTS.ROOM_ERROR, payload);
+        }
+    };
+
+    const buildRoomError = (roomId, error) => ({
+        success: false,
+        roomId: roomId ?? null,
+        code: error.code || ERROR_CODES.INTERNAL_ERROR,
+        message: error.message
+    });
 
     io.on(CLIENT_EVENTS.CONNECT, (socket) => {
-        console.log('Nuevo cliente conectado: ', socket.id);
+        const { identity } = socket.data;
+        // Los anónimos (autenticación deshabilitada) se agrupan para no crear una serie por socket
+        const metricsClient = identity.type === IDENTITY_TYPES.ANONYMOUS ? IDENTITY_TYPES.ANONYMOUS : identity.id;
+
+        console.log(`Nuevo cliente conectado: ${socket.id} (${identity.type}: ${identity.id})`);
+        socketConnections.inc();
 
-        socket.emit(SERVER_EVENTS.CONNECTION_CONFIRMED);
+        socket.data.dropPolicy = DROP_POLICIES.QUEUE;
+        socket.emit(SERVER_EVENTS.CONNECTION_CONFIRMED, {
+            socketId: socket.id,
+            identity: {
+                id: identity.id,
+                name: identity.name,
+                type: identity.type,
+                roles: accessControl.getRoles(identity)
+            }
+        });
 
         // Manejo de eventos de análisis de imagen
-        socket.on(CLIENT_EVENTS.ANALYZE_IMAGE, (imageData) => {
-            if (serverStatus !== SERVER_STATUS.READY) {
-                return socket.emit(SERVER_EVENTS.ANALYSIS_ERROR, {
-                    code: ERROR_CODES.INTERNAL_ERROR,
-                    message: 'Servidor no está listo para procesar.'
-                });
+        // El cliente puede enviar frameId y un callback ack de Socket.IO; la respuesta
+        // llega por el ack (si existe) y siempre por analysis-result / analysis-error
+        socket.on(CLIENT_EVENTS.ANALYZE_IMAGE, (imageData, ack) => {
+            socketFramesTotal.inc({ client: metricsClient });
+
+            const frame = {
+                frameId: imageData?.frameId ?? null,
+                timestamps: {
+                    sent: imageData?.timestamp ?? null,
+                    received: new Date().toISOString(),
+                    started: null
+                }
+            };
+            const reply = (event, payload) => {
+                if (event) {
+                    socket.emit(event, payload);
+                }
+                if (typeof ack === 'function') {
+                    ack(payload);
+                }
+            };
+
+            try {
+                accessControl.assert(identity, PERMISSIONS.FRAMES_ANALYZE);
+            } catch (error) {
+                return reply(SERVER_EVENTS.ANALYSIS_ERROR, buildFrameError(frame, error));
+            }
+
+            // Mismo cupo por cliente que las rutas HTTP; el restante viaja en cada respuesta
+            frame.quota = rateLimiter.consume(identity, { address: socket.data.address, transport: 'socket' });
+            if (!frame.quota.allowed) {
+                return reply(SERVER_EVENTS.ANALYSIS_ERROR, buildFrameError(frame, rateLimiter.createLimitError(frame.quota)));
+            }
+
+            // Un frame dirigido a una sala solo se acepta de su publicador
+            const targetRoom = imageData?.roomId;
+            if (targetRoom !== undefined && !roomManager.isPublisher(socket.id, targetRoom)) {
+                return reply(SERVER_EVENTS.ANALYSIS_ERROR, buildFrameError(frame, {
+                    code: ERROR_CODES.ROOM_PERMISSION_DENIED,
+                    message: `No es publicador de la sala ${targetRoom}`
+                }));
             }
-            
-            // Cambiar estado a procesando
-            serverStatus = SERVER_STATUS.PROCESSING;
-            console.log(`Procesando imagen de ${socket.id}`);
 
-// Procesamiento real usando ImageHandler
-            imageHandler.processImageFromSocket(imageData, socket.id)
+            // La política de descarte se recuerda por socket hasta que el cliente envíe otra
+            if (Object.values(DROP_POLICIES).includes(imageData?.dropPolicy)) {
+                socket.data.dropPolicy = imageData.dropPolicy;
+            }
+
+            // Salas que reciben los resultados de este frame
+            const getBroadcastRooms = () => (
+                targetRoom !== undefined ? [targetRoom] : roomManager.getPublishedRooms(socket.id)
+            );
+
+            // Segunda etapa: lectura de caracteres con Gemini (llega después de analysis-result)
+            const onPlateRead = (read) => {
+                const payload = {
+                    frameId: frame.frameId,
+                    ...read,
+                    timestamps: {
+                        ...frame.timestamps,
+                        completed: read.timestamp
+                    }
+                };
+
+                socket.emit(SERVER_EVENTS.PLATE_READ, payload);
+                for (const roomId of getBroadcastRooms()) {
+                    socket.to(roomManager.toSocketRoom(roomId)).emit(SERVER_EVENTS.ROOM_PLATE_READ, {
+                        roomId,
+                        publisherId: socket.id,
+                        publisherIdentity: identity.id,
+                        ...payload
+                    });
+                }
+            };
+
+            // Cola acotada por socket + concurrencia global limitada (round-robin entre clientes)
+            frameScheduler.schedule(socket.id, () => {
+                frame.timestamps.started = new Date().toISOString();
+                console.log(`Procesando imagen de ${socket.id} [${identity.id}] (frame: ${frame.frameId ?? 'sin id'})`);
+                return imageHandler.processImageFromSocket(imageData, socket.id, {
+                    onPlateRead,
+                    plateProfile: identity.plateProfile
+                });
+            }, {
+                dropPolicy: socket.data.dropPolicy,
+                onDrop: () => emitServerStatus(socket)
+            })
                 .then(result => {
-                    socket.emit(SERVER_EVENTS.ANALYSIS_RESULT, result.result);
-                    serverStatus = SERVER_STATUS.READY;
+                    if (result.success) {
+                        const payload = buildFrameResult(frame, result);
+                        reply(SERVER_EVENTS.ANALYSIS_RESULT, payload);
+
+                        // Difundir a los observadores de las salas donde publica este socket
+                        for (const roomId of getBroadcastRooms()) {
+                            socket.to(roomManager.toSocketRoom(roomId)).emit(SERVER_EVENTS.ROOM_ANALYSIS_RESULT, {
+                                roomId,
+                                publisherId: socket.id,
+                                publisherIdentity: identity.id,
+                                ...payload
+                            });
+                        }
+                    } else {
+                        reply(SERVER_EVENTS.ANALYSIS_ERROR, buildFrameError(frame, result.error));
+                    }
                 })
                 .catch(error => {
-                    socket.emit(SERVER_EVENTS.ANALYSIS_ERROR, {
-                        code: error.code || ERROR_CODES.INTERNAL_ERROR,
-                        message: error.message
-                    });
-                    serverStatus = SERVER_STATUS.READY;
+                    // Los frames descartados se reportan en server-status; solo se responde el ack
+                    const event = error.code === ERROR_CODES.FRAME_DROPPED ? null : SERVER_EVENTS.ANALYSIS_ERROR;
+                    reply(event, buildFrameError(frame, error));
                 });
         });
 
+        // Salas por cámara/portería: { roomId, role: 'publisher' | 'viewer' }
+        socket.on(CLIENT_EVENTS.JOIN_ROOM, (data, ack) => {
+            const roomId = data?.roomId;
+            const role = data?.role || ROOM_ROLES.VIEWER;
+
+            try {
+                const members = roomManager.join(socket, roomId, role);
+                emitRoomUpdate(roomId);
+                replyRoom(socket, ack, { success: true, roomId, role, members });
+            } catch (error) {
+                replyRoom(socket, ack, buildRoomError(roomId, error));
+            }
+        });
+
+        socket.on(CLIENT_EVENTS.LEAVE_ROOM, (data, ack) => {
+            const roomId = data?.roomId;
+
+            try {
+                const members = roomManager.leave(socket, roomId);
+                if (members) {
+                    emitRoomUpdate(roomId);
+                }
+                replyRoom(socket, ack, { success: true, roomId });
+            } catch (error) {
+                replyRoom(socket, ack, buildRoomError(roomId, error));
+            }
+        });
+
+        // Listado de miembros: solo para observadores que pertenecen a la sala
+        socket.on(CLIENT_EVENTS.ROOM_MEMBERS, (data, ack) => {
+            const roomId = data?.roomId;
+
+            try {
+                accessControl.assert(identity, PERMISSIONS.ROOMS_VIEW);
+            } catch (error) {
+                return replyRoom(socket, ack, buildRoomError(roomId, error));
+            }
+
+            if (!roomManager.isMember(socket.id, roomId)) {
+                return replyRoom(socket, ack, buildRoomError(roomId, {
+                    code: ERROR_CODES.ROOM_PERMISSION_DENIED,
+                    message: `No pertenece a la sala ${roomId}`
+                }));
+            }
+
+            replyRoom(socket, ack, { success: true, ...roomManager.getMembers(roomId) });
+        });
+
         socket.on(CLIENT_EVENTS.DISCONNECT, () => {
-            console.log('Cliente desconectado: ', socket.id);
+            console.log(`Cliente desconectado: ${socket.id} (${identity.id})`);
+            socketConnections.dec();
+            frameScheduler.removeClient(socket.id);
+
+            for (const roomId of roomManager.leaveAll(socket.id)) {
+                emitRoomUpdate(roomId);
+            }
         });
     });
 
-    // Publicar estado del servidor cada 10 segundos
-    setInterval(() => {
-        io.emit(SERVER_EVENTS.SERVER_STATUS, {
-            status: serverStatus
-        });
-    }, 10000);
+    const broadcastServerStatus = () => {
+        for (const socket of io.sockets.sockets.values()) {
+            emitServerStatus(socket);
+        }
+    };
+
+    // Publicar estado del servidor cada 10 segundos y en cada cambio del circuit breaker
+    setInterval(broadcastServerStatus, 10000);
+    onCircuitStateChange(broadcastServerStatus);
+
+    // Inicializar ImageHandler después de registrar los eventos: los clientes que
+    // se conecten durante la carga del modelo reciben MODEL_NOT_LOADED
+    try {
+        await imageHandler.initialize();
+        console.log('🔌 Socket.IO configurado con ImageHandler');
+    } catch (error) {
+        console.error('❌ Error inicializando ImageHandler:', error);
+        throw error;
+    }
 };
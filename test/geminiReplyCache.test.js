@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { GeminiReplyCache } from '../services/GeminiReplyCache.js';
+import { DetectionConfig } from '../config/DetectionConfig.js';
+
+const WIDTH = 1280;
+const HEIGHT = 720;
+
+// Escena fija de una cámara de portería: fondo, vehículo y placa amarilla con caracteres en bloques
+const renderScene = (plate, { brightness = 0, quality = 85 } = {}) => {
+  const characters = [...plate].map((char, position) => {
+    let blocks = '';
+    for (let row = 0; row < 7; row++) {
+      for (let col = 0; col < 5; col++) {
+        if (((char.charCodeAt(0) * 31 + row * 7 + col * 13) * 2654435761 >>> 0) % 3 === 0) {
+          blocks += `<rect x="${550 + position * 35 + col * 6}" y="${478 + row * 8}" width="6" height="8" fill="black"/>`;
+        }
+      }
+    }
+    return blocks;
+  }).join('');
+
+  const svg = `<svg width="${WIDTH}" height="${HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+    <rect width="${WIDTH}" height="${HEIGHT}" fill="rgb(${90 + brightness},${100 + brightness},${95 + brightness})"/>
+    <rect x="300" y="0" width="680" height="720" fill="rgb(${60 + brightness},${60 + brightness},${70 + brightness})"/>
+    <rect x="380" y="200" width="520" height="380" rx="40" fill="rgb(${150 + brightness},30,30)"/>
+    <rect x="540" y="470" width="220" height="72" fill="rgb(240,210,40)"/>
+    ${characters}
+  </svg>`;
+
+  return sharp(Buffer.from(svg)).jpeg({ quality }).toBuffer();
+};
+
+const createCache = () => new GeminiReplyCache({ ...DetectionConfig.DEFAULT_CONFIG.gemini.cache, enabled: true });
+
+test('dos placas distintas en la misma escena no comparten respuesta', async () => {
+  const cache = createCache();
+  const first = await cache.getOrLoad(await renderScene('ABC123'), undefined, async () => '["ABC123"]');
+  const second = await cache.getOrLoad(await renderScene('XYZ987'), undefined, async () => '["XYZ987"]');
+
+  assert.equal(first, '["ABC123"]');
+  assert.equal(second, '["XYZ987"]');
+  assert.equal(cache.getStats().misses, 2);
+});
+
+test('el mismo vehículo con ruido de compresión e iluminación reutiliza la respuesta', async () => {
+  const cache = createCache();
+  let loads = 0;
+  const load = async () => {
+    loads++;
+    return '["ABC123"]';
+  };
+
+  await cache.getOrLoad(await renderScene('ABC123'), undefined, load);
+  const reply = await cache.getOrLoad(await renderScene('ABC123', { brightness: 4, quality: 75 }), undefined, load);
+
+  assert.equal(reply, '["ABC123"]');
+  assert.equal(loads, 1);
+});
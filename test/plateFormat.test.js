@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { colombianPlateFormat } from '../validators/PlateFormat.js';
+import { plateProfiles } from '../services/PlateProfiles.js';
+import { parsePlateReply } from '../services/plateReplyParser.js';
+
+test('el perfil "co" usa los formatos colombianos del validador', () => {
+  const { plateFormat } = plateProfiles.get('co');
+
+  assert.deepEqual(Object.keys(plateFormat.describe()), Object.keys(colombianPlateFormat.describe()));
+});
+
+test('una placa diplomática se acepta sin correcciones', () => {
+  const { plates } = parsePlateReply('["CD1234"]', plateProfiles.get('co').plateFormat);
+
+  assert.equal(plates.length, 1);
+  assert.equal(plates[0].plate, 'CD1234');
+  assert.equal(plates[0].format, 'diplomatic');
+  assert.equal(plates[0].corrections, 0);
+});
+
+test('las motos con placa antigua ABC12 son válidas', () => {
+  const result = plateProfiles.get('co').plateFormat.normalize('ABC12');
+
+  assert.equal(result.valid, true);
+  assert.equal(result.format, 'motorcycleLegacy');
+});
+
+test('las confusiones del OCR se corrigen según la posición y reducen la confianza', () => {
+  const result = colombianPlateFormat.normalize('A8C1Z3');
+
+  assert.equal(result.plate, 'ABC123');
+  assert.equal(result.corrections, 2);
+  assert.ok(result.confidence < 1);
+});
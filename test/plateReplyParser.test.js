@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePlateReply, PARSE_STATUS } from '../services/plateReplyParser.js';
+
+const validPlates = (reply) => parsePlateReply(reply).plates.filter(plate => plate.valid).map(plate => plate.plate);
+
+test('extrae placas separadas en dos tokens dentro de texto libre', () => {
+  assert.deepEqual(validPlates('La placa es ABC 123'), ['ABC123']);
+  assert.deepEqual(validPlates('La placa del carro es XYZ 987'), ['XYZ987']);
+  assert.deepEqual(validPlates('Veo ABC-12D y XYZ 987.'), ['ABC12D', 'XYZ987']);
+  assert.equal(parsePlateReply('La placa es ABC 123').status, PARSE_STATUS.PARSED);
+});
+
+test('no arma candidatas con palabras sueltas del modelo', () => {
+  const { plates } = parsePlateReply('Placa ABC123 y nada más');
+
+  assert.deepEqual(plates.map(plate => plate.plate), ['ABC123']);
+});
+
+test('un array vacío o "@" indican que no hay placas', () => {
+  assert.equal(parsePlateReply('[]').status, PARSE_STATUS.EMPTY);
+  assert.equal(parsePlateReply('@').status, PARSE_STATUS.EMPTY);
+});
+
+test('un array cuyos elementos se descartan no es interpretable', () => {
+  const result = parsePlateReply('["la placa no se lee"]');
+
+  assert.equal(result.status, PARSE_STATUS.UNPARSEABLE);
+  assert.deepEqual(result.plates, []);
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter } from '../services/RateLimiter.js';
+import { RATE_LIMIT_CONFIG } from '../config/RateLimitConfig.js';
+
+const createLimiter = () => new RateLimiter({
+  ...RATE_LIMIT_CONFIG,
+  authFailures: { windowMs: 60000, max: 3 },
+  trustProxyHops: 1
+});
+
+test('los fallos de una credencial no bloquean a otras cámaras de la misma IP', () => {
+  const limiter = createLimiter();
+  for (let i = 0; i < 5; i++) {
+    limiter.recordAuthFailure('10.0.0.1', 'bad-key');
+  }
+
+  assert.equal(limiter.checkAuthFailures('10.0.0.1', 'bad-key').allowed, false);
+  assert.equal(limiter.checkAuthFailures('10.0.0.1', 'good-key').allowed, true);
+  assert.equal(limiter.checkAuthFailures('10.0.0.2', 'bad-key').allowed, true);
+  limiter.dispose();
+});
+
+test('el handshake resuelve la IP del cliente igual que Express con un proxy de confianza', () => {
+  const limiter = createLimiter();
+
+  assert.equal(limiter.resolveSocketAddress({ address: '172.17.0.1', headers: {} }), '172.17.0.1');
+  assert.equal(
+    limiter.resolveSocketAddress({ address: '172.17.0.1', headers: { 'x-forwarded-for': '1.1.1.1, 203.0.113.7' } }),
+    '203.0.113.7'
+  );
+  limiter.dispose();
+});
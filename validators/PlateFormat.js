@@ -0,0 +1,164 @@
+/**
+ * PlateFormat - Validación, clasificación y normalización de placas
+ * Independiente del proveedor OCR: se aplica a las respuestas de Gemini y a
+ * cualquier lector futuro. Corrige las confusiones típicas del OCR (O/0, I/1,
+ * B/8, S/5...) según la posición dentro del formato y reduce la confianza de
+ * la lectura por cada corrección
+ */
+
+// Plantilla de posiciones: L = letra, D = dígito
+const POSITION = {
+  LETTER: 'L',
+  DIGIT: 'D'
+};
+
+// Confusiones del OCR: carácter leído → carácter esperado en la posición
+const TO_DIGIT = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', A: '4', S: '5', G: '6', T: '7', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 4: 'A', 5: 'S', 6: 'G', 7: 'T', 8: 'B' };
+
+/**
+ * Formatos colombianos, en orden de prioridad cuando una lectura encaja en varios
+ * Carros particulares y públicos comparten ABC123 (los distingue el color de la placa)
+ */
+export const COLOMBIAN_PLATE_FORMATS = [
+  { name: 'car', category: 'vehicle', template: 'LLLDDD', pattern: /^[A-Z]{3}\d{3}$/ }, // ABC123
+  { name: 'motorcycle', category: 'motorcycle', template: 'LLLDDL', pattern: /^[A-Z]{3}\d{2}[A-Z]$/ }, // ABC12D
+  { name: 'motorcycleLegacy', category: 'motorcycle', template: 'LLLDD', pattern: /^[A-Z]{3}\d{2}$/ }, // ABC12 (motos anteriores a 2004)
+  { name: 'trailer', category: 'trailer', template: 'LDDDDD', pattern: /^[RS]\d{5}$/ }, // R12345 remolque, S12345 semirremolque
+  { name: 'diplomatic', category: 'diplomatic', template: 'LLDDDD', pattern: /^(CD|CC|AT|OI)\d{4}$/ } // CD1234
+];
+
+// Conjuntos de formatos integrados que los perfiles referencian por nombre (formatSet en plateProfiles.json)
+export const PLATE_FORMAT_SETS = {
+  colombia: COLOMBIAN_PLATE_FORMATS
+};
+
+const DEFAULT_OPTIONS = {
+  correctionPenalty: 0.15, // Confianza descontada por cada carácter corregido
+  maxCorrections: 2 // Más correcciones que esto se considera una lectura inválida
+};
+
+/**
+ * Limpia el texto de una candidata: mayúsculas, solo letras y dígitos
+ * @param {string} value - Texto leído
+ * @returns {string}
+ */
+export const cleanPlateText = (value) => String(value ?? '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+export class PlateFormat {
+  /**
+   * @param {Array<Object>} formats - [{ name, category, template, pattern }]; sin template solo se acepta la coincidencia exacta
+   * @param {Object} options - { correctionPenalty, maxCorrections }
+   */
+  constructor(formats = COLOMBIAN_PLATE_FORMATS, options = {}) {
+    this.formats = formats;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Normaliza una lectura a su placa canónica
+   * @param {string} value - Texto leído por el OCR
+   * @param {number} [confidence=1] - Confianza de la lectura según el proveedor (0-1)
+   * @returns {{raw: string, plate: string, valid: boolean, format: string|null, category: string|null, corrections: number, confidence: number}}
+   */
+  normalize(value, confidence = 1) {
+    const raw = String(value ?? '');
+    const text = cleanPlateText(raw);
+
+    let best = null;
+    for (const format of this.formats) {
+      const candidate = this._coerce(text, format);
+      if (candidate && (!best || candidate.corrections < best.corrections)) {
+        best = candidate;
+      }
+    }
+
+    if (!best) {
+      return { raw, plate: text, valid: false, format: null, category: null, corrections: 0, confidence: 0 };
+    }
+
+    const adjusted = confidence * Math.max(0, 1 - best.corrections * this.options.correctionPenalty);
+
+    return {
+      raw,
+      plate: best.plate,
+      valid: true,
+      format: best.format.name,
+      category: best.format.category || null,
+      corrections: best.corrections,
+      confidence: Math.round(adjusted * 1000) / 1000
+    };
+  }
+
+  /**
+   * Indica si un texto es una placa válida sin correcciones
+   * @param {string} value - Texto de la placa
+   * @returns {boolean}
+   */
+  isValid(value) {
+    const plate = cleanPlateText(value);
+    return this.formats.some(format => format.pattern.test(plate));
+  }
+
+  /**
+   * Formato exacto de una placa
+   * @param {string} value - Texto de la placa
+   * @returns {string|null} Nombre del formato o null
+   */
+  classify(value) {
+    const plate = cleanPlateText(value);
+    return this.formats.find(format => format.pattern.test(plate))?.name || null;
+  }
+
+  /**
+   * Resumen de los formatos
+   * @returns {Object} nombre → { category, template, pattern }
+   */
+  describe() {
+    return Object.fromEntries(this.formats.map(({ name, category, template, pattern }) => [
+      name,
+      { category: category || null, template: template || null, pattern: pattern.source }
+    ]));
+  }
+
+  // Métodos privados
+
+  _coerce(text, format) {
+    if (format.pattern.test(text)) {
+      return { plate: text, format, corrections: 0 };
+    }
+    if (!format.template || format.template.length !== text.length) {
+      return null;
+    }
+
+    let plate = '';
+    let corrections = 0;
+    for (let i = 0; i < text.length; i++) {
+      const expectsDigit = format.template[i] === POSITION.DIGIT;
+      const char = text[i];
+      const fits = expectsDigit ? /\d/.test(char) : /[A-Z]/.test(char);
+
+      if (fits) {
+        plate += char;
+        continue;
+      }
+
+      const replacement = expectsDigit ? TO_DIGIT[char] : TO_LETTER[char];
+      if (!replacement) {
+        return null;
+      }
+      plate += replacement;
+      corrections++;
+    }
+
+    if (corrections > this.options.maxCorrections || !format.pattern.test(plate)) {
+      return null;
+    }
+    return { plate, format, corrections };
+  }
+}
+
+// Validador de formatos colombianos (perfil por defecto y lectores sin perfil)
+export const colombianPlateFormat = new PlateFormat();
+
+export default PlateFormat;